@@ -20,10 +20,46 @@
  *     "se" will match a command named "Google Search" that has an alias "Search"
  *     "gTU" will match a command named "Go To URL"
  *
+ * Each match is given a relevance score, and the results from all command sources are merged into a
+ * single list ordered by that score. From most to least relevant: an exact match of the name, a match
+ * at the beginning of the name, a match of word beginnings within the name, a match against one of
+ * the aliases, and finally a match of the command's custom regexp.
+ *
+ * Alternatively, a fuzzy matching mode can be selected with the 'matcher' config, either for the whole
+ * quick bar or for individual command sources. In this mode the entered characters only need to appear
+ * in order somewhere in the name, so "gtu" and "gourl" will both match "Go To URL"; matches where the
+ * characters begin words or form contiguous runs are ranked higher. In either mode the matched characters
+ * of each command's name are highlighted in the dropdown.
+ *
+ * The quick bar also remembers which commands the user chooses, and for which entered characters, in the
+ * browser's localStorage. Commands that are chosen often and recently are boosted in future results, and
+ * more so when the same characters are entered again.
+ *
+ * When the quick bar is opened, before anything has been entered, the dropdown lists the user's pinned
+ * commands followed by their most recently chosen ones. The highlighted command in the dropdown can be
+ * pinned or unpinned by pressing Alt+P; pinned commands are also remembered in localStorage.
+ *
  * Once the list of available matching commands is presented to the user, they can then select one to
  * be executed. Some commands can require an extra argument from the user, for example a search command
  * will need the search term, so the quick bar will give the user an additional entry field to collect
- * the argument before invoking the command.
+ * the argument before invoking the command. Commands can also require several arguments, in which case
+ * the quick bar asks for each in turn; pressing Backspace in an empty field returns to the previous one.
+ *
+ * The quick bar can also work with things rather than commands, like Quicksilver does: sources can supply
+ * "subjects" (e.g. tickets, users or links) which have a type, and the quick bar can be given a separate
+ * list of "verbs" which declare the subject types they can act upon. Choosing a subject lists the verbs
+ * which apply to it; choosing a verb then asks for its optional "object" argument before executing it.
+ * The currently selected text on the page, the page itself, and the entered text are always available as
+ * subjects. Pressing Backspace in the empty field or Escape goes back a step.
+ *
+ * Related commands can be grouped into menus: a command with children lists them when it is chosen,
+ * showing the path to them in the label, and again Backspace in the empty field or Escape goes back up.
+ *
+ * Destructive commands can require confirmation: the quick bar then asks the user to press a key (or, for
+ * the most dangerous ones, to type the command's name) before executing it. Escape goes back to the list.
+ *
+ * Commands can also be undoable: an "Undo <name>" command is then listed for a while after they are run,
+ * and pressing Ctrl+Z (Cmd+Z on macOS) in the empty field undoes the most recent one.
  *
  * Usage:
  *
@@ -34,6 +70,17 @@
  * Notice that the quickBar function is on the main jQuery ($) object, because it is attached to the
  * page as a whole rather than to any particular set of elements.
  *
+ * The function returns the QuickBar instance, whose configuration can later be changed, or which can be
+ * removed from the page entirely, e.g. when a single-page application changes views:
+ *
+ *     var bar = $.quickBar(config);
+ *     bar.setOptions({ keystroke: 'mod+k' });
+ *     bar.destroy();
+ *
+ * Several quick bars can be used on the same page, each with its own 'parent' and keystroke. If they share
+ * a keystroke, the one whose parent contains the focused element, or otherwise the one most recently
+ * opened, responds to it.
+ *
  * The members of the 'config' object are copied onto the internal QuickBar object instance,
  * allowing any of its properties or methods to be overridden. Some of the more useful overrides are:
  *
@@ -41,11 +88,29 @@
  *         // Sets the label for the main text entry field:
  *         mainLabel: 'What is thy bidding, master?',
  *
- *         // Allows customizing the global keystroke that launches the quick bar:
- *         keystroke: {
- *             which: 32, //spacebar
- *             modifiers: ['shift', 'ctrl']
- *         }
+ *         // Allows customizing the global keystroke that launches the quick bar. 'mod' stands for Cmd on
+ *         // macOS and Ctrl elsewhere; keystrokes separated by spaces must be pressed in sequence; and an
+ *         // array allows several alternatives:
+ *         keystroke: ['mod+k', 'g c'],
+ *
+ *         // Selects subsequence matching instead of the default word-beginning matching:
+ *         matcher: 'fuzzy',
+ *
+ *         // Lists commands whose 'when' condition fails as disabled, rather than leaving them out:
+ *         unavailable: 'disable',
+ *
+ *         // Customizes how the usage history is stored (see UsageHistory), or false to disable it:
+ *         history: { storageKey: 'myAppQuickBarHistory' },
+ *
+ *         // Allows customizing the keystroke that pins or unpins the highlighted command:
+ *         pinKeystroke: 'alt+b',
+ *
+ *         // Requires typing a command's name rather than pressing a key to confirm commands with 'confirm':
+ *         confirmBy: 'name',
+ *
+ *         // Keeps the last 3 undoable commands, for 5 minutes each:
+ *         undoLimit: 3,
+ *         undoTimeout: 300000,
  *
  *         // Allows customizing how the quick bar UI is shown and hidden:
  *         showFn: function(box) {
@@ -59,15 +124,41 @@
  *         // available commands are retrieved: (See below for more info.)
  *         sources: [
  *             { type: 'local', commands: [...] }
- *         ]
+ *         ],
+ *
+ *         // Optionally, the verbs that can be applied to subjects: (See below for more info.)
+ *         verbs: [...]
+ *     });
+ *
+ * Events:
+ *
+ * The quick bar fires events as it opens, searches, executes commands and so on, which handlers can be
+ * added for with its 'on' method or its 'listeners' config, or with jQuery's bind on the quick bar element
+ * or any ancestor, using the event name lowercased and prefixed with 'quickbar':
+ *
+ *     var bar = $.quickBar({
+ *         listeners: {
+ *             exec: function(e, data) {
+ *                 log('Ran ' + data.command.name);
+ *             }
+ *         }
+ *     });
+ *     bar.on('beforeExec', function(e, data) {
+ *         return confirm('Really ' + data.command.name + '?');
  *     });
+ *     $(document).bind('quickbarbeforesearch', function(e, data) {
+ *         data.query = data.query.replace(/^please\s+/i, '');
+ *     });
+ *
+ * Handlers of the 'before' events can cancel the action, or change it by modifying the data object. See
+ * the QuickBar.on method for the list of events.
  *
  * Defining command sources:
  *
  * In the example code above, the 'sources' configuration item is the most important piece; without it
  * there will be no available commands to search. One or more sources can be defined; each one is an
  * object config that must contain at least a 'type' property, which tells it what command source
- * implementation to use. There are two built-in command source implementations:
+ * implementation to use. These are the built-in command source implementations:
  *
  *     type: 'local' - This command source type maintains a static list of available commands, configured
  *         in the JavaScript when the page first loads. Since the available commands are all held in
@@ -83,9 +174,57 @@
  *         commands that don't have to be loaded with the page, but has the lag of a HTTP request.
  *
  *         To configure the ajax source, give its configuration object any of the properties recognized
- *         by the settings argument to the jQuery.ajax() function. The user's entered characters will
- *         be submitted as a parameter named 's', or you can customize the parameter name by defining a
- *         'paramName' property in the config.
+ *         by the settings argument to the jQuery.ajax() function, with the HTTP method as 'method'. The
+ *         user's entered characters will be submitted as a parameter named 's', or you can customize the
+ *         parameter name by defining a 'paramName' property in the config. The response should be a JSON
+ *         array of command configs, or an object with the array as its 'commands' property; override the
+ *         source's 'processXhrData' function to handle other formats. Each new search aborts the previous
+ *         request if it is still pending. A 'minChars' property sets the minimum number of characters to
+ *         search for, and 'timeout' how long to wait (10 seconds by default); if the request fails or times
+ *         out, an error is displayed in the quick bar.
+ *
+ *         The results for each query are cached for 'cacheTtl' milliseconds (1 minute by default), up to
+ *         'cacheSize' queries. When the server marks the results for a query as complete, with a 'complete'
+ *         field in the response object or an 'X-QuickBar-Complete: true' response header, longer queries
+ *         starting with it are answered by filtering those results without another request. An
+ *         'invalidate' field or 'X-QuickBar-Invalidate: true' header clears the cache, as does the quick
+ *         bar's clearCache method.
+ *
+ *     type: 'prefetch' - For catalogs of commands that are too large to write into the page but small
+ *         enough to download in one go, this downloads the whole list of command configs from a URL when
+ *         the quick bar is first opened (or straight away if its 'prefetch' property is true), and then
+ *         searches it locally like the 'local' source. Until the list arrives, a "Loading commands..." row
+ *         is listed. Configure it like the 'ajax' source; setting 'revalidate' to true also checks for
+ *         changes each time the quick bar is opened, using the ETag and Last-Modified response headers.
+ *
+ *     type: 'dom' - This collects commands from the elements on the page: by default its links, buttons,
+ *         and any other elements with a 'data-quickbar-name' attribute, within its 'root' element (the
+ *         body by default), or those matching its 'selector' property. Choosing a link's command goes to
+ *         the link's URL, and other elements are clicked. Hidden and disabled elements are left out unless
+ *         its 'includeHidden' or 'includeDisabled' properties are true. The commands are named after the
+ *         elements' text, or can be named, given aliases and icons with attributes:
+ *
+ *             <button data-quickbar-name="Archive Message" data-quickbar-alias="Archive, Done"
+ *                     data-quickbar-icon="icons/archive.png">Archive</button>
+ *
+ *         The commands are kept in sync with the page as elements are added, removed or changed.
+ *
+ *     type: 'headings' - For jumping to the sections of long pages, this collects commands from the page's
+ *         headings, ARIA landmarks, and elements with an id and a label (an aria-label, title or
+ *         data-quickbar-name attribute.) The commands are named after the path of headings leading to
+ *         their element, e.g. "Install \u203a Requirements", and choosing one scrolls to the element, focuses
+ *         it, and sets the location hash to its id. It accepts the same properties as the 'dom' source,
+ *         and likewise collects the commands again when the page has changed.
+ *
+ *     type: 'fn' - This command source type calls a JavaScript function to perform the search. Give its
+ *         configuration object a 'fn' property, which will be passed the user's entered characters and
+ *         must either return an array of results, or pass them to the callback function given as its
+ *         second argument. Each result may be a string (used as the command name), a command config
+ *         object or a Command.
+ *
+ * Any source may also be given a 'matcher' property to override the quick bar's matching strategy for
+ * its own commands, e.g. { type: 'local', matcher: 'fuzzy', commands: [...] }, and a 'when' condition
+ * which applies to all its commands (see the 'when' command config below.)
  *
  * Defining commands:
  *
@@ -104,21 +243,173 @@
  *
  *     icon - {String} An optional icon image to be displayed alongside the command's name.
  *
+ *     score - {Number} An optional fixed relevance score, overriding the score calculated by matching
+ *         the name and aliases. This is mainly useful for commands returned by an ajax source, so that
+ *         results ranked by the server can be merged with local ones. See Command.Scores for the scale.
+ *
+ *     id - {String} An optional unique identifier for the command, used to remember how often it has been
+ *         chosen. Defaults to the command's name.
+ *
+ *     track - {Boolean} Set to false to exclude the command from the usage history, so choosing it is never
+ *         remembered and it is never boosted in the results. Defaults to true.
+ *
  *     arg - {Boolean|String} Whether or not the command requires the user to enter an additional argument
  *         for its execution, e.g. the search term for a web search. If a String is supplied, then that
  *         will be used as an informative label for the argument's input field.
  *
+ *     argDefault - {String} An optional initial value for the argument's input field.
+ *
+ *     argType - {String} The type of value expected for the argument; see the 'type' property of 'args' below.
+ *
+ *     argSource - {Array|Function|Object} An optional source of suggested values for the argument; see the
+ *         'source' property of 'args' below.
+ *
+ *     args - {Array} Used instead of 'arg' for commands that require several arguments. Each item is an
+ *         object with the following properties, and the user is asked for each argument in order:
+ *
+ *         name - {String} The name of the argument, used as its key in the values passed to the action.
+ *         label - {String} An optional informative label for the argument's input field.
+ *         default - {String} An optional initial value for the argument's input field.
+ *         required - {Boolean} Whether the argument may be left empty. Defaults to false.
+ *         type - {String} The type of value expected, which the entered value is converted to before it is
+ *             passed to the action: 'string' (the default), 'number', 'integer', 'url', 'email', 'date'
+ *             (passed as a Date), 'boolean' (yes/no), or 'enum' (one of the values in an 'options' array,
+ *             which are also suggested as the user types.) If the entered value is not valid for its type,
+ *             an error message is displayed and the user must correct it.
+ *         validate - {Function} An optional custom validation function, passed the converted value. It may
+ *             return false or an error message string to reject the value.
+ *         message - {String} An optional error message to display in place of the type's default one.
+ *         source - {Array|Function|Object} An optional source of suggested values, which are listed in
+ *             the dropdown as the user types the argument. Choosing one with Enter submits it as the
+ *             argument, while Tab copies it into the field for further editing. This may be an array of
+ *             values, either strings or command configs with a 'value' property; a function which is passed
+ *             the entered characters and returns an array of values, or passes it to a callback function
+ *             given as its second argument; or a command source config such as { type: 'ajax', ... }
+ *
+ *     children - {Array|Function|Object} Makes the command a menu of sub-commands instead of executing an
+ *         action: choosing it replaces the listed commands with its children, which can be searched in
+ *         the same way. This may be an array of command configs; a function which is passed the entered
+ *         characters and returns an array of command configs, or passes it to a callback function given
+ *         as its second argument; or a command source config such as { type: 'ajax', ... }
+ *
+ *     when - {Function|String|Object|Array} A condition which must pass for the command to be available,
+ *         checked when the quick bar opens and on each search. Unavailable commands are left out of the
+ *         results, or listed but disabled if the quick bar's 'unavailable' config is 'disable'. The
+ *         condition may be:
+ *
+ *         // A function, which is passed the quick bar's context object (with the 'selection', the
+ *         // 'focused' element and the context 'keys') and returns whether the command is available:
+ *         when: function(context) { return context.selection.length > 0; }
+ *
+ *         // A CSS selector which the element that had the focus before the quick bar opened, or one of
+ *         // its ancestors, must match:
+ *         when: 'table.rows tr'
+ *
+ *         // An object of context key names and the values they must have. The application sets context
+ *         // keys with the quick bar's setContextKey method:
+ *         when: { editing: true, view: 'inbox' }
+ *
+ *         // An array of conditions, which must all pass:
+ *         when: ['form', { editing: true }]
+ *
+ *     hotkey - {String|Array} A keystroke, in the same format as the quick bar's 'keystroke' config, which
+ *         runs the command directly without opening the quick bar first, e.g. 'alt+shift+l'. Commands that
+ *         need more input, such as arguments, open the quick bar to ask for it. The hotkey is also shown
+ *         next to the command's name in the dropdown. Only the commands of local sources can have hotkeys,
+ *         and a hotkey already taken by another command or by the launch keystroke is ignored, firing the
+ *         quick bar's 'hotkeyConflict' event.
+ *
+ *     confirm - {Boolean|String|Function} Makes the user confirm the command before it is executed, by
+ *         pressing the quick bar's 'confirmKeystroke' (Y by default) or, if the command's 'confirmBy' config
+ *         is 'name', by typing the command's name. True asks with the quick bar's 'confirmMessage', a String
+ *         is the message to ask with, and a function is passed the command's arg and returns the message,
+ *         or false if this execution needs no confirmation.
+ *
+ *     actions - {Array} Alternate actions for the command, e.g. to copy a link's URL rather than follow it.
+ *         Each is an object with a 'name' and an 'action' like the command's own, and may override any of
+ *         the command's other config, e.g. its 'args'. Pressing Shift+Enter on the command chooses the first
+ *         alternate action, Alt+Enter the second and Alt+Shift+Enter the third, unless they give a
+ *         'keystroke' of their own, such as 'mod+shift+enter'. Ctrl+Enter (Cmd+Enter on macOS) is left for
+ *         opening URLs in a new tab, unless an action takes it as its 'keystroke'. Pressing Right Arrow at
+ *         the end of the field lists all the actions, the command's own first under its 'actionName' (or the
+ *         quick bar's 'primaryActionName'); commands with alternate actions are marked in the results.
+ *
+ *         actions: [
+ *             { name: 'Open in New Tab', action: { type: 'url', url: 'http://example.com/', target: '_blank' } },
+ *             { name: 'Copy URL', action: function() { return navigator.clipboard.writeText('http://example.com/'); } }
+ *         ]
+ *
+ *     undo - {Function} Makes the command undoable. It is called to undo the command, and passed the arg the
+ *         command was executed with and the value its action returned. Alternatively the action itself can
+ *         return a function which undoes it. Undoable commands are listed as "Undo <name>" commands for the
+ *         quick bar's 'undoTimeout', and pressing its 'undoKeystroke' in the empty field undoes the latest.
+ *
  *     action - {Object|Function} Defines the action to be performed when the command is executed. By
- *         default this supports two action types: a JavaScript function to be called, or a redirect URL.
+ *         default this supports a JavaScript function to be called, a redirect URL, or an interaction with
+ *         an element on the page.
  *
- *         // Function action - the function will be passed the user-entered arg if it exists.
+ *         // Function action - the function will be passed the user-entered arg if it exists. For commands
+ *         // with multiple 'args', it is passed an object of the entered values keyed by argument name.
  *         action: { type: 'fn', fn: function(arg) { ... } }
  *
  *         // The above may also be shortened to just a single function object:
  *         action: function(arg) { ... }
  *
+ *         // A function action may return a message to display briefly before the quick bar closes, or a
+ *         // promise such as a jQuery Deferred, in which case the quick bar waits for it with a spinner
+ *         // (pressing Escape stops waiting and closes the quick bar, ignoring the promise's outcome.)
+ *         // If the function throws an error or the promise is rejected, the error is displayed instead:
+ *         // (The jqXHR returned by jQuery 1.5+ ajax functions is such a promise.)
+ *         action: function(arg) {
+ *             return $.post('/tasks', {title: arg});
+ *         }
+ *
  *         // URL action - the {arg} token in the URL will be replaced with the user-entered arg if it exists.
+ *         // For commands with multiple 'args', a {name} token can be used for each argument. The {selection}
+ *         // token is the text that was selected on the page, and {location.host}, {location.pathname} etc.
+ *         // are parts of the page's own URL. Values are URL-encoded, unless the token ends with '|raw':
  *         action: { type: 'url', url: 'http://the.url.to/go/to/with/{arg}' }
+ *         action: { type: 'url', url: '{arg|raw}' }
+ *
+ *         // A URL action with a 'target' opens the URL in that window, e.g. '_blank' for a new tab. Choosing
+ *         // the command with Ctrl+Enter (Cmd+Enter on macOS) also opens it in a new tab. URLs with schemes
+ *         // other than those in Command.urlSchemes (http, https, mailto and ftp), such as javascript:, are
+ *         // refused with an error:
+ *         action: { type: 'url', url: 'https://{location.host}/admin', target: '_blank' }
+ *
+ *         // DOM actions act on the elements matching a 'selector': 'click' clicks the first one (following
+ *         // it if it is a link), 'focus' focuses it, 'scrollTo' scrolls the page to it, 'jump' scrolls to
+ *         // it, focuses it and sets the page's location hash to its id, 'submit' submits it
+ *         // or the form it is in, 'trigger' triggers a custom 'event' on them with the arg and optional
+ *         // 'data' as parameters, and 'toggleClass' toggles a 'className' on them. If nothing matches, an
+ *         // error is displayed. A 'fill' selector puts the arg into a field first, or for commands with
+ *         // multiple 'args', an object mapping argument names to field selectors:
+ *         action: { type: 'click', selector: '#logout' }
+ *         action: { type: 'submit', selector: '#search', fill: '#search input[name=q]' }
+ *         action: { type: 'trigger', selector: '#grid', event: 'refresh', data: { all: true } }
+ *
+ * Defining subjects and verbs:
+ *
+ * A subject is defined like a command, but with a 'subjectType' property instead of an 'action':
+ *
+ *     subjectType - {String|Array} The type(s) of thing the subject is, e.g. 'url', 'text' or 'ticket'. The
+ *         built-in subjects for the selected text and typed text have type 'text', and the one for the page
+ *         has type 'url'.
+ *
+ *     value - The value passed to the verb's action as the subject; defaults to the subject's name.
+ *
+ * A subject that also has an action executes it when chosen with Enter; pressing Tab instead lists the
+ * verbs for it.
+ *
+ * Verbs are defined in the quick bar's 'verbs' config, also like commands, with these additional properties:
+ *
+ *     accepts - {String|Array} The subject type(s) the verb can act upon, or '*' for any subject.
+ *
+ *     object - {Object} An optional argument to ask for after choosing the verb, in the same form as the
+ *         items in the 'args' command config, e.g. { label: 'To', type: 'email' }
+ *
+ * The verb's action is passed an object with the 'subject' value and the entered 'object' value, so a URL
+ * action can use {subject} and {object} tokens.
  *
  * Complete example:
  *
@@ -149,20 +440,25 @@
  *                }, {
  *                    name: 'New Message',
  *                    regexp: /^((new|create)\s+)?(e?mail|message)/i,
- *                    arg: 'To',
+ *                    args: [
+ *                        { name: 'to', label: 'To', type: 'email', required: true },
+ *                        { name: 'subject', label: 'Subject' }
+ *                    ],
  *                    icon: 'icons/message.png',
- *                    action: function(arg) {
- *                        location.href = 'mailto:' + arg;
+ *                    action: {
+ *                        type: 'url',
+ *                        url: 'mailto:{to}?subject={subject}'
  *                    }
  *                }, {
  *                    name: 'Go To URL',
  *                    aliases: ['Location'],
  *                    arg: 'Location',
+ *                    argType: 'url',
  *                    argDefault: 'http://',
  *                    icon: 'icons/arrow_right.png',
  *                    action: {
  *                        type: 'url',
- *                        url: '{arg}'
+ *                        url: '{arg|raw}'
  *                    }
  *                }]
  *            },
@@ -175,6 +471,23 @@
  *            }
  *        ],
  *
+ *        // Verbs that can be applied to subjects, e.g. the links above:
+ *        verbs: [{
+ *            name: 'Open in New Window',
+ *            accepts: 'url',
+ *            action: function(values) {
+ *                window.open(values.subject);
+ *            }
+ *        }, {
+ *            name: 'Email To',
+ *            accepts: '*',
+ *            object: { label: 'To', type: 'email', required: true },
+ *            action: {
+ *                type: 'url',
+ *                url: 'mailto:{object}?body={subject}'
+ *            }
+ *        }],
+ *
  *        // Override the show and hide functions to add a sliding animation:
  *        showFn: function(box) {
  *            box.slideDown(100);
@@ -187,7 +500,9 @@
 (function($) {
 
     var id = 0,
-        proxy = $.proxy;
+        proxy = $.proxy,
+        instances = [],
+        openCount = 0;
 
 
     /**
@@ -200,22 +515,96 @@
      *         property, which determines which command source implementation will be used (see the CommandSources
      *         mapping object.) Each config is passed directly as the constructor argument for the command
      *         source implementation, so it may contain other properties specific to that implementation.
+     *     verbs - {Array} A collection of verb configurations; see the Command config docs.
      *     mainLabel - {String} The label for the quick entry field in its initial state. May contain HTML
      *         markup. Defaults to 'Command:'.
-     *     keystroke - {Object} Defines the keystroke for launching the QuickBar.
+     *     keystroke - {String|Array|Object} Defines the keystroke for launching the QuickBar, e.g. 'mod+k'.
+     *     matcher - {String} The default command matching strategy for all sources, either 'standard' or
+     *         'fuzzy' (see Command.Matchers.) Sources can override it with their own 'matcher' property.
+     *     history - {Object|Boolean} The configuration for the UsageHistory which remembers chosen and
+     *         pinned commands, or false to disable remembering.
+     *     pinKeystroke - {String|Array|Object} Defines the keystroke for pinning or unpinning the highlighted
+     *         command.
+     *     undoKeystroke - {String|Array|Object} Defines the keystroke for undoing the most recent undoable
+     *         command while the QuickBar is open.
+     *     undoLimit, undoTimeout - {Number} How many undoable commands are kept, and for how long.
+     *     unavailable - {String} Whether commands whose 'when' condition fails are left out of the results
+     *         ('hide') or listed but disabled ('disable'). Defaults to 'hide'.
+     *     contextKeys - {Object} The initial values of the context keys checked by 'when' conditions.
+     *     listeners - {Object} Event handler functions keyed by event name; see the on method.
      *     showFn, hideFn - {Function} Overriding these functions allows customization of how the UI gets shown
      *         and hidden, for example using an animation such as slideDown or fadeIn.
+     *
+     * Several QuickBars can be used on the same page, e.g. with different parents or keystrokes; see
+     * onDocumentKey for which one gets a key event. The destroy method removes a QuickBar that is no
+     * longer needed, and the setOptions method changes its configuration.
      */
     function QuickBar(cfg) {
         var me = this;
-        $.extend(me, cfg, {sources: []});
+        cfg = cfg || {};
+        $.extend(me, cfg, {sources: [], verbs: [], _hotkeys: []});
 
-        // Init the command sources
-        me.addSources(cfg.sources);
+        // Init the keystrokes
+        me._keystroke = new Keystroke(me.keystroke, {global: true});
+        me._pinKeystroke = new Keystroke(me.pinKeystroke);
+        me._confirmKeystroke = new Keystroke(me.confirmKeystroke);
+        me._undoKeystroke = new Keystroke(me.undoKeystroke);
+
+        // Init the event handlers
+        me._listeners = {};
+        $.each(cfg.listeners || {}, function(type, fn) {
+            me.on(type, fn);
+        });
 
         // Init the parent container
         me.parent = $(me.parent);
-        $(document).keydown(proxy(me.onGlobalKey, me));
+
+        // Init the command sources and verbs
+        me.addSources(cfg.sources);
+        me.addVerbs(cfg.verbs);
+
+        // Init the usage history
+        me.history = me.history ? new UsageHistory(me.history) : null;
+        me._knownCommands = {};
+        me._menus = [];
+        me._undoStack = [];
+        me._execId = 0;
+        me.contextKeys = $.extend({}, cfg.contextKeys);
+
+        // Listen for keystrokes, sharing a single document handler among all instances
+        instances.push(me);
+        if (instances.length === 1) {
+            $(document).bind('keydown', onDocumentKey);
+        }
+    }
+
+    /**
+     * Handles all keydown events on the document for all QuickBar instances. When there are several, the
+     * instances whose parent contains the focused element get the event first, innermost first, then the
+     * most recently opened; the first instance to handle it stops the others getting it. Instances whose
+     * parent does not contain the focused element only get the event if none of those handles it.
+     * @param {jQuery.Event} e
+     */
+    function onDocumentKey(e) {
+        var target = e.target,
+            scoped = [],
+            others = [];
+        function byPriority(a, b) {
+            var aParent = a.parent[0],
+                bParent = b.parent[0];
+            return $.contains(aParent, bParent) ? 1 :
+                   $.contains(bParent, aParent) ? -1 :
+                   (b._openedAt || 0) - (a._openedAt || 0);
+        }
+        $.each(instances, function(i, bar) {
+            var contains = $.grep(bar.parent.get(), function(parent) {
+                return parent === target || $.contains(parent, target);
+            }).length > 0;
+            (contains ? scoped : others).push(bar);
+        });
+        $.each(scoped.sort(byPriority).concat(others.sort(byPriority)), function(i, bar) {
+            return !bar.onGlobalKey(e);
+        });
     }
     $.extend(QuickBar.prototype, {
         /**
@@ -231,19 +620,148 @@
                        '<input type="text" id="{inputId}" autocomplete="off" />' +
                    '</div>',
 
+        /**
+         * The markup used to generate the element that displays error messages, which is appended to the
+         * QuickBar element when first needed.
+         */
+        errorMarkup: '<div class="error" role="alert"></div>',
+
+        /**
+         * The markup used to generate the element that displays messages returned by commands, which is
+         * appended to the QuickBar element when first needed.
+         */
+        messageMarkup: '<div class="message" role="status"></div>',
+
+        /**
+         * The markup used to generate the spinner displayed while waiting for an asynchronous command, which
+         * is appended to the QuickBar element when first needed.
+         */
+        spinnerMarkup: '<span class="spinner" role="progressbar" aria-label="Working"></span>',
+
+        /**
+         * The markup of the row listed after the results while a command source is still loading its
+         * commands, e.g. a 'prefetch' source downloading its catalog.
+         */
+        loadingMarkup: '<li class="loading" role="status">Loading commands\u2026</li>',
+
+        /**
+         * The time in milliseconds that a message returned by a command is displayed before the QuickBar
+         * closes.
+         */
+        messageTimeout: 1500,
+
+        /**
+         * The error displayed when a command fails without giving a message of its own.
+         */
+        execErrorMessage: 'The command failed.',
+
         /**
          * The label for the quick entry field in its initial state. May contain HTML markup.
          */
         mainLabel: 'Command:',
 
         /**
-         * Defines the keystroke for launching the QuickBar. Allows specifying a character key and any
-         * number of required modifier keys. Defaults to Ctrl+Shift+Space.
+         * The label for the quick entry field when choosing a verb for a subject, following the subject's name.
+         * May contain HTML markup.
          */
-        keystroke: {
-            which: 32, //spacebar
-            modifiers: ['shift', 'ctrl']
-        },
+        verbLabel: 'Action:',
+
+        /**
+         * Defines the keystroke for launching the QuickBar, e.g. 'ctrl+shift+space', 'mod+k' or a sequence
+         * such as 'g c'; an array allows several alternatives. See the Keystroke class for the format.
+         * Defaults to Ctrl+Shift+Space.
+         */
+        keystroke: 'ctrl+shift+space',
+
+        /**
+         * The name of the Command.Matchers implementation used to match the user's entered characters
+         * against commands: 'standard' for beginning and word-beginning matching, or 'fuzzy' for
+         * subsequence matching. This is the default for all sources, which may override it.
+         */
+        matcher: 'standard',
+
+        /**
+         * The configuration for the UsageHistory, or false to disable remembering which commands are chosen
+         * and pinned.
+         */
+        history: {},
+
+        /**
+         * The maximum number of recently chosen commands listed when nothing has been entered.
+         */
+        recentLimit: 5,
+
+        /**
+         * How commands whose 'when' condition fails are treated: 'hide' leaves them out of the results, and
+         * 'disable' lists them after the available commands but prevents choosing them.
+         */
+        unavailable: 'hide',
+
+        /**
+         * Defines the keystroke for pinning or unpinning the highlighted command, in the same format as the
+         * 'keystroke' property. Defaults to Alt+P.
+         */
+        pinKeystroke: 'alt+p',
+
+        /**
+         * How the user confirms commands that have a 'confirm' config: 'key' to press the 'confirmKeystroke',
+         * or 'name' to type the command's name and press Enter. Commands can override it with their own
+         * 'confirmBy' config.
+         */
+        confirmBy: 'key',
+
+        /**
+         * Defines the keystroke for confirming a command, in the same format as the 'keystroke' property.
+         * Defaults to Y.
+         */
+        confirmKeystroke: 'y',
+
+        /**
+         * The confirmation message for commands whose 'confirm' config is true. The {name} token is replaced
+         * with the command's name.
+         */
+        confirmMessage: 'Are you sure you want to run "{name}"?',
+
+        /**
+         * The hints displayed after the confirmation message, when confirming by keystroke or by name. The
+         * {key} token is replaced with the confirm keystroke and the {name} token with the command's name.
+         */
+        confirmKeyHint: 'Press {key} to confirm or Escape to cancel.',
+        confirmNameHint: 'Type "{name}" and press Enter to confirm, or Escape to cancel.',
+
+        /**
+         * The error displayed when the typed name does not match when confirming by name.
+         */
+        confirmNameError: 'The name does not match.',
+
+        /**
+         * Defines the keystroke for undoing the most recent undoable command while the QuickBar is open, in
+         * the same format as the 'keystroke' property. It only applies while the entry field is empty, so
+         * that it still undoes typing otherwise. Defaults to Ctrl+Z, or Cmd+Z on macOS.
+         */
+        undoKeystroke: 'mod+z',
+
+        /**
+         * The maximum number of commands that can be undone; the oldest are forgotten first.
+         */
+        undoLimit: 10,
+
+        /**
+         * The time in milliseconds after which a command can no longer be undone, or 0 for no limit.
+         */
+        undoTimeout: 60000,
+
+        /**
+         * The name of the built-in command which undoes a command. The {name} token is replaced with the
+         * undoable command's name.
+         */
+        undoName: 'Undo {name}',
+
+        /**
+         * The name under which a command's own action is listed alongside its alternate 'actions', when it
+         * does not have an 'actionName' of its own.
+         */
+        primaryActionName: 'Run',
 
         /**
          * Timeout in milliseconds between each key event and performing a search. Prevents excessive
@@ -257,7 +775,19 @@
          * @param {Object} sourceCfg The configuration for the command source.
          */
         addSource: function(sourceCfg) {
-            this.sources.push(new CommandSources[sourceCfg.type || 'local'](sourceCfg));
+            var me = this,
+                source = createSource(sourceCfg, me.matcher);
+            me.sources.push(source);
+            me.addHotkeys(source);
+            // Commands added to the source later get their hotkeys too
+            source.onAddCommand = function(command) {
+                me.addHotkey(command, source);
+            };
+            // Lazy sources replace all of theirs each time they have collected their commands
+            source.onCollect = function() {
+                me.removeHotkeys(source);
+                me.addHotkeys(source);
+            };
         },
 
         /**
@@ -274,454 +804,4093 @@
         },
 
         /**
-         * Shows the QuickBar UI.
+         * Add a verb, which can be applied to subjects of the types it accepts.
+         * @param {Object} verbCfg The configuration for the verb.
          */
-        show: function() {
-            if (!this._vis) {
-                var box = this.getBox();
-                this.showFn(box);
-                box.find('input').focus();
-                this._vis = 1;
-            }
+        addVerb: function(verbCfg) {
+            this.verbs.push(new Command($.extend({matcher: this.matcher}, verbCfg)));
         },
 
         /**
-         * Shows the main QuickBar element. Defaults to a simple show, but can be overridden e.g. to
-         * implement animation effects.
-         * @param {jQuery} box
+         * Add multiple verbs.
+         * @param {Array} verbs
          */
-        showFn: function(box) {
-            box.show();
+        addVerbs: function(verbs) {
+            if ($.isArray(verbs)) {
+                var me = this;
+                $.each(verbs, function(i, verbCfg) {
+                    me.addVerb(verbCfg);
+                });
+            }
         },
 
         /**
-         * Hides everything and resets it to the initial clean slate.
+         * Registers the hotkeys of a command source's commands, so that pressing one runs its command
+         * directly. Only sources which can list all their commands up front (i.e. which have a getCommands
+         * method, like LocalCommandSource) can supply hotkeys; those of 'lazy' sources, which collect their
+         * commands later, are taken from the commands they have collected so far.
+         * @param {Object} source The command source
          */
-        hide: function() {
-            if (this._vis) {
-                var me = this,
-                    box = me.getBox(),
-                    input = box.find('input');
-                me.hideFn(box);
-                input.selectionList('clear');
-                me.stopAskingForArg();
-                input.val('');
-                me._vis = 0;
-            }
+        addHotkeys: function(source) {
+            var me = this,
+                commands = source.lazy ? source.getCollected() : source.getCommands ? source.getCommands() : [];
+            $.each(commands, function(i, command) {
+                me.addHotkey(command, source);
+            });
         },
 
         /**
-         * Hides the main QuickBar element. Defaults to a simple hide, but can be overridden e.g. to
-         * implement animation effects.
-         * @param {jQuery} box
+         * Unregisters the hotkeys of a command source's commands.
+         * @param {Object} source The command source
          */
-        hideFn: function(box) {
-            box.hide();
+        removeHotkeys: function(source) {
+            this._hotkeys = $.grep(this._hotkeys, function(command) {
+                return command._source !== source;
+            });
         },
 
         /**
-         * Handles all key events on the document, calling the show method if the key event matches
-         * the configured 'keystroke' configuration.
+         * Registers a command's hotkey, if it has one. A hotkey that is already taken, by another command or
+         * by the QuickBar's launch keystroke, is not registered and fires the 'hotkeyConflict' event instead.
+         * @param {Command} command
+         * @param {Object} source The command source the command belongs to
          */
-        onGlobalKey: function(e) {
-            var keystroke = this.keystroke,
-                modifiers = keystroke.modifiers;
-            // See if the key and modifiers match the config
-            if (e.which === keystroke.which && (!modifiers ||
-                    $.map(modifiers, function(mod) {
-                        return e[mod + 'Key'] ? null : 1;
-                    }).length < 1)) {
-                this.show();
+        addHotkey: function(command, source) {
+            var me = this,
+                hotkey = command.getHotkey(),
+                conflict = null;
+            if (hotkey) {
+                command._source = source;
+                $.each(hotkey.getSignatures(), function(i, signature) {
+                    if ($.inArray(signature, me._keystroke.getSignatures()) >= 0) {
+                        conflict = me.keystroke;
+                    }
+                    $.each(me._hotkeys, function(i, other) {
+                        if ($.inArray(signature, other.getHotkey().getSignatures()) >= 0) {
+                            conflict = other;
+                        }
+                    });
+                });
+                if (conflict) {
+                    me.fire('hotkeyConflict', {command: command, taken: conflict});
+                } else {
+                    me._hotkeys.push(command);
+                }
             }
         },
 
         /**
-         * Handles all keyup events within the entry field.
+         * Adds a handler function for one of the QuickBar's events. Handlers are called with the QuickBar as
+         * 'this', and are passed a jQuery.Event object and the event's data object. The events are also
+         * triggered on the QuickBar element as jQuery events named 'quickbar' plus the lowercased event name,
+         * e.g. 'quickbarbeforeexec', with the same arguments, and bubble up from there.
+         *
+         * Handlers of the 'before' events can cancel what is about to happen by returning false or calling
+         * the event's preventDefault method, and can change it by modifying the data object:
+         *
+         *     beforeShow - {context} The QuickBar is about to open.
+         *     show - The QuickBar has opened.
+         *     beforeHide - The QuickBar is about to close.
+         *     hide - The QuickBar has closed.
+         *     beforeSearch - {query} The entered characters are about to be searched for; the 'query' can be
+         *         changed.
+         *     results - {query, results} The listed results have changed. Each result has the 'command' and
+         *         its 'score'.
+         *     sourceError - {query, source, error} A command source failed to search. The 'error' message is
+         *         displayed in the QuickBar unless a handler cancels the event.
+         *     beforeExec - {command, arg, newTab} A command is about to be executed with the given argument,
+         *         and opening URLs in a new tab if 'newTab' is true; any of them can be changed.
+         *     exec - {command, arg, result} A command has been executed; 'result' is its action's return value,
+         *         or the value its promise resolved with.
+         *     execError - {command, arg, error} A command's action threw an error or its promise was rejected.
+         *         The error is displayed in the QuickBar unless a handler cancels the event.
+         *     argPrompt - {command, arg, value, label} The user is about to be asked for an argument; the
+         *         initial 'value' in the field and the 'label' HTML can be changed.
+         *     hotkeyConflict - {command, taken} A command's hotkey was not registered because it is already
+         *         'taken', by another command or by the 'keystroke' config if it is the launch keystroke.
+         *
+         * @param {String} type The event name
+         * @param {Function} fn The handler function
          */
-        onInputKey: function(e) {
-            var me = this,
-                inArgMode = !!me._askingForArg,
-                timer = me._searchTimer;
+        on: function(type, fn) {
+            var listeners = this._listeners;
+            (listeners[type] || (listeners[type] = [])).push(fn);
+        },
 
-            // Escape key cancels
-            if (e.which === 27) {
-                if (inArgMode) {
-                    me.stopAskingForArg();
-                } else {
-                    me.hide();
-                }
-            }
-            else if (!inArgMode) {
-                // Buffer execution of the search to avoid excessive network/processing
-                if (timer) {
-                    clearTimeout(timer);
-                }
-                me._searchTimer = setTimeout(proxy(me.search, me), me.inputBuffer);
+        /**
+         * Removes a handler function added with the on method.
+         * @param {String} type The event name
+         * @param {Function} fn The handler function; if omitted then all handlers for the event are removed.
+         */
+        off: function(type, fn) {
+            var listeners = this._listeners;
+            if (listeners[type]) {
+                listeners[type] = fn ? $.grep(listeners[type], function(listener) {
+                    return listener !== fn;
+                }) : [];
             }
         },
 
         /**
-         * Creates and configures the dropdown selection list object.
+         * Fires one of the QuickBar's events (see the on method), calling its handlers on the instance and
+         * then triggering it on the QuickBar element.
+         * @param {String} type The event name
+         * @param {Object} data The event's data object, which handlers may modify.
+         * @return {Boolean} false if a handler cancelled the event, or the QuickBar has been destroyed.
          */
-        initSelectionList: function(input) {
-            input.selectionList({
-                renderItem: function(command) {
-                    return (command.icon ? '<img class="icon" src="' + command.icon + '" alt="" />' : '') +
-                           '<span class="name">' + command.name + '</span>';
+        fire: function(type, data) {
+            var me = this,
+                e = $.Event('quickbar' + type.toLowerCase()),
+                listeners = me._listeners[type] || [];
+            if (me._destroyed) {
+                return false;
+            }
+            data = data || {};
+            $.each(listeners.slice(), function(i, fn) {
+                if (fn.call(me, e, data) === false) {
+                    e.preventDefault();
                 }
             });
+            me.getBox().trigger(e, [data]);
+            return !e.isDefaultPrevented();
         },
 
         /**
-         * Triggers a search of all configured command sources for commands that match the current
-         * value entered in the input field. Searches are asynchronous, so nothing is returned from
-         * this method but the handleResult method is called by each source when it finishes searching.
+         * Shows the QuickBar UI.
          */
-        search: function() {
+        show: function() {
             var me = this,
-                input = me.getBox().find('input'),
-                chars = $.trim(input.val());
-            this.initSelectionList(input);
-            if (chars.length < 1) {
-                input.selectionList('hide');
-            }
-            else if (chars !== me._lastChars) {
-                input.selectionList('clear');
+                box;
+            if (!me._vis) {
+                me.captureContext();
+                if (!me.fire('beforeShow', {context: me.context})) {
+                    return;
+                }
+                box = me.getBox();
+                me.showFn(box);
+                box.find('input').focus();
+                me._vis = 1;
+                me._openedAt = ++openCount;
                 $.each(me.sources, function(i, source) {
-                    source.search(chars, proxy(me.handleResult, me));
+                    if (source.open) {
+                        source.open();
+                    }
                 });
+                me.search();
+                me.fire('show');
             }
-            me._lastChars = chars;
         },
 
         /**
-         * Handles the result of a search from a command source.
-         * @param {Array} commands An array of Command objects that matched the search. If no matches were
-         *        found then this will be an empty array.
+         * Records the state of the page before the QuickBar takes the focus, into the 'context' property.
+         * This holds the 'selection', i.e. the text selected on the page; the 'focused' element; and the
+         * context 'keys' set by the application (see the setContextKey method.)
          */
-        handleResult: function(commands) {
-            var input = this.getBox().find('input');
-            this.initSelectionList(input);
-            $.each(commands, function(i, command) {
-                input.selectionList('addItem', command);
-            });
-            input.selectionList('show');
+        captureContext: function() {
+            var me = this,
+                focused = document.activeElement,
+                box = me._box;
+            // The QuickBar's own field is not the focus the commands are interested in
+            if (focused && box && $.contains(box[0], focused)) {
+                focused = me.context && me.context.focused;
+            }
+            me.context = {
+                selection: window.getSelection ? $.trim('' + window.getSelection()) : '',
+                focused: focused || null,
+                keys: me.contextKeys
+            };
         },
 
         /**
-         * Handles the user selecting an item from the dropdown selection list.
-         * @param {jQuery.Event} e The event that triggered the selection
-         * @param {Number} idx The selected item's index in the list
-         * @param {Command} command The Command object corresponding to the selected item
+         * Sets the value of a context key, which commands and sources can require in their 'when' conditions.
+         * If the QuickBar is open then its results are updated.
+         * @param {String} name
+         * @param {Mixed} value
          */
-        itemSelected: function(e, idx, command) {
+        setContextKey: function(name, value) {
             var me = this;
-            function execCommand(arg) {
-                command.exec(arg);
-                me.hide();
-            }
-            if (command.arg) {
-                this.askForArg(command, execCommand);
-            } else {
-                execCommand();
+            me.contextKeys[name] = value;
+            if (me._vis) {
+                me._lastChars = null;
+                me.search();
             }
         },
 
         /**
-         * Puts the UI into the mode where it is asking the user for an argument to the selected Command.
-         * @param {Command} command The Command object whose argument is being requested
-         * @param {Function} callback A callback function that will be called when the user submits the
-         *        argument. It will be passed the entered string value.
+         * Determines whether a command is currently available, according to its 'when' condition and that
+         * of the source it came from.
+         * @param {Command} command
+         * @return {Boolean}
          */
-        askForArg: function(command, callback) {
+        isAvailable: function(command) {
             var me = this,
-                box = me.getBox(),
-                arg = command.arg,
-                icon = command.icon,
-                label = (icon ? '<img class="icon" src="' + icon + '" alt="" />' : '') +
-                        command.name + (typeof arg === 'string' ? ' - ' + arg : '') + ':';
-
-            box.find('label').html(label);
+                source = command._source;
+            if (!me.context) {
+                me.captureContext();
+            }
+            return checkWhen(command.when, me.context) && (!source || checkWhen(source.when, me.context));
+        },
 
-            box.find('input')
+        /**
+         * Shows the main QuickBar element. Defaults to a simple show, but can be overridden e.g. to
+         * implement animation effects.
+         * @param {jQuery} box
+         */
+        showFn: function(box) {
+            box.show();
+        },
+
+        /**
+         * Hides everything and resets it to the initial clean slate.
+         */
+        hide: function() {
+            // Stays open while waiting for a command to finish
+            if (this._vis && !this._busy) {
+                var me = this,
+                    box = me.getBox(),
+                    input = box.find('input');
+                if (!me.fire('beforeHide')) {
+                    return;
+                }
+                clearTimeout(me._searchTimer);
+                clearTimeout(me._messageTimer);
+                if (me._messageEl) {
+                    me._messageEl.hide().empty();
+                }
+                me.hideFn(box);
+                input.selectionList('clear');
+                me.stopAskingForArg();
+                me.stopConfirming();
+                me._subject = null;
+                me._menus = [];
+                me.updateLabel();
+                input.val('');
+                me._lastChars = me._query = me._results = null;
+                me._enterKey = me._chosen = null;
+                me._vis = 0;
+                me.fire('hide');
+            }
+        },
+
+        /**
+         * Hides the main QuickBar element. Defaults to a simple hide, but can be overridden e.g. to
+         * implement animation effects.
+         * @param {jQuery} box
+         */
+        hideFn: function(box) {
+            box.hide();
+        },
+
+        /**
+         * Handles all key events on the document, calling the show method if the key event matches
+         * the configured 'keystroke' configuration, or running a command if it matches its hotkey. While
+         * the QuickBar is busy, the Escape key stops waiting for the command (see the cancelBusy method.)
+         * @param {jQuery.Event} e
+         * @return {Boolean} Whether the key event was handled.
+         */
+        onGlobalKey: function(e) {
+            var me = this,
+                handled = false;
+            // The disabled entry field cannot get the Escape key while busy
+            if (me._busy && e.which === 27) {
+                e.preventDefault();
+                me.cancelBusy();
+                return true;
+            }
+            if (me._keystroke.matches(e)) {
+                e.preventDefault();
+                me.show();
+                handled = true;
+            }
+            $.each(me._hotkeys, function(i, command) {
+                if (command.getHotkey().matches(e)) {
+                    if (!me._vis) {
+                        me.captureContext();
+                    }
+                    if (me.isAvailable(command)) {
+                        e.preventDefault();
+                        me.runHotkey(command);
+                        handled = true;
+                        return false;
+                    }
+                }
+            });
+            return handled;
+        },
+
+        /**
+         * Runs a command whose hotkey was pressed. Commands which need more input from the user, such as
+         * arguments, open the QuickBar to ask for it.
+         * @param {Command} command
+         */
+        runHotkey: function(command) {
+            var me = this;
+            me.hide();
+            me._chosen = {command: command, query: ''};
+            if (command.children || (command.subjectType && !command.action) || command.getArgs().length ||
+                    command.confirm) {
+                me.show();
+            } else {
+                me.captureContext();
+            }
+            me.runCommand(command);
+        },
+
+        /**
+         * Handles all keydown events within the entry field, toggling the pinned state of the highlighted
+         * command if the key event matches the configured 'pinKeystroke', undoing the most recent command
+         * if it matches the 'undoKeystroke' while the field is empty, and listing the alternate actions of
+         * the highlighted command when Right Arrow is pressed at the end of the field.
+         */
+        onInputKeydown: function(e) {
+            var me = this,
+                command;
+            // Remembers the modifiers of the Enter key which chooses a command, for choosing an alternate
+            // action or opening a URL in a new tab
+            me._enterKey = e.which === 13 ? e : null;
+            // Browsers give the keypress of Ctrl+Enter a different key code, and may fire none at all for
+            // Cmd+Enter, so these choose the highlighted command here instead, in place of the keypress
+            if (me._enterKey && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                $(e.target).trigger({type: 'keypress', which: 13});
+                return;
+            }
+            if (me._askingForArg || me._confirming) {
+                return;
+            }
+            if (me.history && me._pinKeystroke.matches(e)) {
+                command = me.getHighlighted();
+                if (command) {
+                    me.togglePin(command);
+                    e.preventDefault();
+                }
+            }
+            else if (!e.target.value && me._undoKeystroke.matches(e)) {
+                if (me.undo()) {
+                    e.preventDefault();
+                }
+            }
+            else if (e.which === 8 && !e.target.value && (me._subject || me._menus.length)) { //backspace in empty field goes back
+                if (me._subject) {
+                    me.clearSubject();
+                } else {
+                    me.leaveMenu();
+                }
+                e.preventDefault();
+            }
+            else if (e.which === 39 && isCaretAtEnd(e.target)) { //right arrow lists the alternate actions
+                command = me.getHighlighted();
+                if (command && command.actions) {
+                    me.enterMenu(command.getActionMenu(me.primaryActionName));
+                    e.preventDefault();
+                }
+            }
+            else if (e.which === 9 && !me._subject) { //tab lists the verbs for the highlighted subject
+                command = me.getHighlighted();
+                if (command && command.subjectType) {
+                    me.chooseVerb(command);
+                    e.preventDefault();
+                }
+            }
+        },
+
+        /**
+         * Handles all keyup events within the entry field.
+         */
+        onInputKey: function(e) {
+            var me = this,
+                inArgMode = !!me._askingForArg,
+                confirming = !!me._confirming,
+                timer = me._searchTimer;
+
+            // Typing corrects any error
+            if (e.which !== 13) {
+                me.clearError();
+            }
+
+            // Escape key cancels, going back a step
+            if (e.which === 27) {
+                if (confirming) {
+                    me._confirmCancel();
+                } else if (inArgMode) {
+                    me.stopAskingForArg();
+                    me.search();
+                } else if (me._subject) {
+                    me.clearSubject();
+                } else if (me._menus.length) {
+                    me.leaveMenu();
+                } else {
+                    me.hide();
+                }
+            }
+            else if (!confirming && (!inArgMode || me._argSource)) {
+                // Buffer execution of the search to avoid excessive network/processing
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                me._searchTimer = setTimeout(proxy(me.search, me), me.inputBuffer);
+            }
+        },
+
+        /**
+         * Creates and configures the dropdown selection list object.
+         */
+        initSelectionList: function(input) {
+            var me = this;
+            input.selectionList({
+                renderItem: function(command) {
+                    return command.getIconHtml() +
+                           '<span class="name">' + command.getNameHtml(me._query) + '</span>' +
+                           (command.hotkey ? '<kbd class="hotkey">' + escapeHtml(command.getHotkey().getLabel()) + '</kbd>' : '') +
+                           (command.enterKeystroke ? '<kbd class="hotkey">' + escapeHtml(command.enterKeystroke.getLabel()) + '</kbd>' : '') +
+                           (command.actions ? '<span class="actions" title="More actions">&rsaquo;</span>' : '') +
+                           (me.history && me.history.isPinned(command) ? '<span class="pinned" title="Pinned">&#9733;</span>' : '');
+                }
+            });
+        },
+
+        /**
+         * Triggers a search of all configured command sources for commands that match the current
+         * value entered in the input field. Searches are asynchronous, so nothing is returned from
+         * this method but the handleResult method is called by each source when it finishes searching.
+         * While asking for an argument that has a source of suggested values, only that source is searched;
+         * while choosing a verb for a subject, only the verbs that accept the subject are searched; and while
+         * listing the children of a command, only its children are searched (all are listed if nothing has
+         * been entered.) Fires the 'beforeSearch' event, whose handlers may change or cancel the query.
+         */
+        search: function() {
+            var me = this,
+                input = me.getBox().find('input'),
+                chars = $.trim(input.val()),
+                lastChars = me._lastChars,
+                inArgMode = !!me._askingForArg,
+                data = {query: chars},
+                source;
+            me.initSelectionList(input);
+            me._lastChars = chars;
+            if (chars === lastChars) {
+                return;
+            }
+            me._query = null;
+            if (!me.fire('beforeSearch', data)) {
+                return;
+            }
+            chars = me._query = data.query;
+            input.selectionList('clear');
+            me._results = [];
+            me._loadingSources = [];
+            if (inArgMode) {
+                if (chars && me._argSource) {
+                    me._argSource.search(chars, function(commands) {
+                        me.handleResult(commands, chars);
+                    }, function(error) {
+                        me.handleSourceError(error, chars, me._argSource);
+                    });
+                } else {
+                    input.selectionList('hide');
+                }
+            }
+            else if (me._subject) {
+                me.handleResult(me.getVerbs(me._subject, chars), chars);
+            }
+            else if (me._menus.length) {
+                source = me._menus[me._menus.length - 1].getChildSource();
+                source.search(chars, function(commands) {
+                    me.handleResult(commands, chars);
+                }, function(error) {
+                    me.handleSourceError(error, chars, source);
+                });
+            }
+            else if (chars) {
+                $.each(me.sources, function(i, source) {
+                    if (me.unavailable !== 'hide' || checkWhen(source.when, me.context)) {
+                        source.search(chars, function(commands) {
+                            me.doneLoading(source);
+                            me.handleResult(commands, chars, source);
+                        }, function(error) {
+                            me.doneLoading(source);
+                            me.handleSourceError(error, chars, source);
+                        });
+                        if (source.isLoading && source.isLoading()) {
+                            me._loadingSources.push(source);
+                        }
+                    }
+                });
+                if (me._loadingSources.length) {
+                    me.renderResults();
+                }
+                if (me.verbs.length) {
+                    me.handleResult(me.getContextSubjects(chars), chars);
+                }
+                me.handleResult($.grep(me.getUndoCommands(), function(command) {
+                    return command.isMatch(chars);
+                }), chars);
+            }
+            else {
+                me.showDefaultResults();
+            }
+        },
+
+        /**
+         * Returns the built-in subjects that match the entered characters: the text that was selected on
+         * the page when the QuickBar was opened, the page itself, and the entered text.
+         * @param {String} chars
+         * @return {Array} Command objects for the subjects
+         */
+        getContextSubjects: function(chars) {
+            var selection = this.context && this.context.selection,
+                subjects = [];
+            if (selection) {
+                subjects.push(new Command({name: 'Selected Text', subjectType: 'text', value: selection, track: false}));
+            }
+            subjects.push(new Command({name: 'This Page', subjectType: 'url', value: location.href, track: false}));
+            subjects = $.grep(subjects, function(subject) {
+                return subject.isMatch(chars);
+            });
+            subjects.push(new Command({
+                name: '\u201c' + chars + '\u201d',
+                subjectType: /^[a-z][a-z0-9+.\-]*:\/\/\S+$/i.test(chars) ? ['url', 'text'] : 'text',
+                value: chars,
+                score: Command.Scores.min,
+                track: false
+            }));
+            return subjects;
+        },
+
+        /**
+         * Returns the verbs that can be applied to the given subject and match the entered characters.
+         * @param {Command} subject
+         * @param {String} chars The entered characters; if empty then all applicable verbs are returned.
+         * @return {Array}
+         */
+        getVerbs: function(subject, chars) {
+            return $.grep(this.verbs, function(verb) {
+                return verb.acceptsSubject(subject) && (!chars || verb.isMatch(chars));
+            });
+        },
+
+        /**
+         * Puts the UI into the mode where the user chooses a verb to apply to the given subject.
+         * @param {Command} subject
+         */
+        chooseVerb: function(subject) {
+            this._subject = subject;
+            this.restartSearch();
+        },
+
+        /**
+         * Takes the UI out of the mode where the user chooses a verb (see the chooseVerb method), returning
+         * it to the previous state.
+         */
+        clearSubject: function() {
+            this._subject = null;
+            this.restartSearch();
+        },
+
+        /**
+         * Replaces the listed commands with the given command's children, so the user can choose among them.
+         * @param {Command} command A command with 'children'
+         */
+        enterMenu: function(command) {
+            this._menus.push(command);
+            this.restartSearch();
+        },
+
+        /**
+         * Goes back up one level from the children of a command (see the enterMenu method.)
+         */
+        leaveMenu: function() {
+            this._menus.pop();
+            this.restartSearch();
+        },
+
+        /**
+         * Clears the entry field and searches again after a change of mode, e.g. entering a menu.
+         */
+        restartSearch: function() {
+            var me = this;
+            me.updateLabel();
+            me.getBox().find('input').val('');
+            me._lastChars = null;
+            me.search();
+        },
+
+        /**
+         * Returns the breadcrumb trail of the current mode, i.e. the commands whose children are being listed
+         * and the chosen subject.
+         * @return {Array} The HTML for each step
+         */
+        getBreadcrumb: function() {
+            var me = this,
+                crumbs = $.map(me._menus, function(command) {
+                    return command.getLabelHtml();
+                });
+            if (me._subject) {
+                crumbs.push(me._subject.getLabelHtml());
+            }
+            return crumbs;
+        },
+
+        /**
+         * Sets the label for the quick entry field to suit the current mode: the main label, the breadcrumb
+         * trail of menus, or the chosen subject followed by the verb label.
+         */
+        updateLabel: function() {
+            var me = this,
+                crumbs = me.getBreadcrumb().join(' &rsaquo; ');
+            me.getBox().find('label').html(
+                me._subject ? crumbs + ' &rsaquo; ' + me.verbLabel :
+                crumbs ? crumbs + ':' :
+                me.mainLabel
+            );
+        },
+
+        /**
+         * Fills the dropdown with the commands listed when nothing has been entered: the commands that can
+         * be undone, the pinned commands, and then the most recently chosen ones. Hides the dropdown if there
+         * are none.
+         */
+        showDefaultResults: function() {
+            var me = this,
+                input = me.getBox().find('input'),
+                history = me.history,
+                pinned = [],
+                recent = [];
+            function toResults(commands) {
+                return $.map(commands, function(command) {
+                    var available = me.isAvailable(command);
+                    return available || me.unavailable === 'disable' ? {command: command, disabled: !available} : null;
+                });
+            }
+            if (history) {
+                pinned = toResults(me.findCommands(history.getPinned()));
+                recent = toResults($.grep(me.findCommands(history.getRecent()), function(command) {
+                    return !history.isPinned(command);
+                })).slice(0, me.recentLimit);
+            }
+            me._results = $.map(toResults(me.getUndoCommands()).concat(pinned, recent), function(result, i) {
+                result.idx = i;
+                return result;
+            });
+            me.renderResults();
+        },
+
+        /**
+         * Handles the result of a search from a command source. The commands are merged with those already
+         * received from other sources for the same search, and the combined list is re-sorted by score.
+         * @param {Array} commands An array of Command objects that matched the search. If no matches were
+         *        found then this will be an empty array.
+         * @param {String} chars The search characters the result corresponds to. If this is no longer the
+         *        current search then the result is stale and will be ignored.
+         * @param {Object} source The command source the commands came from, if any, whose 'when' condition
+         *        also applies to them.
+         */
+        handleResult: function(commands, chars, source) {
+            var me = this,
+                results;
+
+            if (me._destroyed) {
+                return;
+            }
+            results = me._results || (me._results = []);
+            if (chars === undefined) {
+                chars = me._query;
+            }
+            else if (chars !== me._query) {
+                return;
+            }
+
+            $.each(commands, function(i, command) {
+                var available;
+                if (source) {
+                    command._source = source;
+                }
+                available = me.isAvailable(command);
+                if (available || me.unavailable === 'disable') {
+                    results.push({
+                        command: command,
+                        score: command.getScore(chars) + (me.history ? me.history.getBoost(command, chars) : 0),
+                        idx: results.length,
+                        disabled: !available
+                    });
+                }
+            });
+            // Unavailable commands are listed after all the available ones
+            results.sort(function(a, b) {
+                return (a.disabled - b.disabled) || (b.score - a.score) || (a.idx - b.idx);
+            });
+
+            me.renderResults();
+        },
+
+        /**
+         * Handles a command source failing to search, e.g. when its server cannot be reached: fires the
+         * 'sourceError' event and, unless a handler cancels it, displays the error in the QuickBar. The
+         * results from other sources are still listed.
+         * @param {String} error The error message
+         * @param {String} chars The search characters; if this is no longer the current search then the
+         *        error is stale and will be ignored.
+         * @param {Object} source The command source that failed
+         */
+        handleSourceError: function(error, chars, source) {
+            var me = this;
+            if (chars === me._query && me.fire('sourceError', {query: chars, source: source, error: error})) {
+                me.showError(error);
+                me.renderResults();
+            }
+        },
+
+        /**
+         * Records that a command source which was loading its commands for the current search has finished,
+         * so that the loading row is no longer listed for it.
+         * @param {Object} source
+         */
+        doneLoading: function(source) {
+            var me = this;
+            me._loadingSources = $.grep(me._loadingSources || [], function(loading) {
+                return loading !== source;
+            });
+        },
+
+        /**
+         * Updates the dropdown to list the current results, keeping the highlighted command highlighted. While
+         * any command source is still loading its commands, the 'loadingMarkup' row is listed after them.
+         */
+        renderResults: function() {
+            var input = this.getBox().find('input'),
+                results = this._results || [],
+                loading = this._loadingSources && this._loadingSources.length > 0,
+                list, lis;
+            this.initSelectionList(input);
+            input.selectionList('setItems', $.map(results, function(result) {
+                return result.command;
+            }));
+            list = input.data('selectionList').getEl();
+            lis = list.children('li');
+            $.each(results, function(i, result) {
+                if (result.disabled) {
+                    lis.eq(i).addClass('disabled').attr('aria-disabled', 'true');
+                }
+            });
+            // The loading row follows the items, so it can never be highlighted or chosen
+            if (loading) {
+                list.append(this.loadingMarkup);
+            }
+            input.selectionList(results.length || loading ? 'show' : 'hide');
+            this.fire('results', {query: this._query, results: results});
+        },
+
+        /**
+         * Returns the command that is currently highlighted in the dropdown.
+         * @return {Command} The highlighted command, or undefined if none is highlighted.
+         */
+        getHighlighted: function() {
+            var list = this.getBox().find('input').data('selectionList');
+            return list && list.highlighted >= 0 ? list.items[list.highlighted] : undefined;
+        },
+
+        /**
+         * Pins the given command if it is not already pinned, otherwise unpins it. Pinned commands are listed
+         * first when nothing has been entered.
+         * @param {Command} command
+         */
+        togglePin: function(command) {
+            var me = this,
+                history = me.history;
+            if (history) {
+                me._knownCommands[command.getId()] = command;
+                if (history.isPinned(command)) {
+                    history.unpin(command);
+                } else {
+                    history.pin(command);
+                }
+                if (me._lastChars) {
+                    me.renderResults();
+                } else {
+                    me.showDefaultResults();
+                }
+            }
+        },
+
+        /**
+         * Finds the Command objects for the given command ids, either among the commands the QuickBar has
+         * already seen chosen or pinned, or by asking each command source that supports looking up commands
+         * by id. Ids that cannot be found are skipped.
+         * @param {Array} ids
+         * @return {Array} The found Command objects
+         */
+        findCommands: function(ids) {
+            var me = this;
+            return $.map(ids, function(id) {
+                var command = hasOwn(me._knownCommands, id) ? me._knownCommands[id] : null;
+                $.each(me.sources, function(i, source) {
+                    if (!command && source.getCommand) {
+                        command = source.getCommand(id);
+                        if (command) {
+                            command._source = source;
+                        }
+                    }
+                });
+                return command || null;
+            });
+        },
+
+        /**
+         * Handles the user selecting an item from the dropdown selection list.
+         * @param {jQuery.Event} e The event that triggered the selection
+         * @param {Number} idx The selected item's index in the list
+         * @param {Command} command The Command object corresponding to the selected item
+         */
+        itemSelected: function(e, idx, command) {
+            var me = this,
+                subject = me._subject,
+                alternate;
+            // Ignore the browser's native select event for text selected within the field
+            if (!command) {
+                return;
+            }
+            if (me._askingForArg) {
+                me._argSubmit(command.getValue());
+            }
+            else if (me.isAvailable(command)) {
+                // Remembers what the user chose, for recording it in the history once it is executed
+                if (!subject) {
+                    me._chosen = {command: command, query: me._query};
+                }
+                // Shift/Alt/Ctrl+Enter choose an alternate action instead
+                alternate = me._enterKey && command.getAlternateAction(me._enterKey, me.primaryActionName);
+                if (alternate) {
+                    me._enterKey = null;
+                }
+                me.runCommand(alternate || command);
+            }
+            // The Enter key's modifiers only apply to the selection it made
+            me._enterKey = null;
+        },
+
+        /**
+         * Runs the given command: lists its children if it has any, lists the verbs for it if it is a subject,
+         * or executes it once any arguments it needs have been entered.
+         * @param {Command} command
+         */
+        runCommand: function(command) {
+            var me = this,
+                subject = me._subject,
+                query = me.getBox().find('input').val();
+            if (command.children) {
+                me.enterMenu(command);
+                return;
+            }
+            if (!subject && command.subjectType && !command.action) {
+                me.chooseVerb(command);
+                return;
+            }
+            function execCommand(values) {
+                var data = {
+                        command: command,
+                        arg: subject ? $.extend({}, values, {subject: subject.getValue()}) :
+                             command.args ? values : values && values.arg,
+                        newTab: !!(me._enterKey && (me._enterKey.ctrlKey || me._enterKey.metaKey))
+                    },
+                    message = command.getConfirmMessage(data.arg, me.confirmMessage);
+                function exec() {
+                    // Handlers may change the command or its argument, or cancel it
+                    if (me.fire('beforeExec', data)) {
+                        me.execute(data);
+                    }
+                }
+                if (message) {
+                    me.askToConfirm(command, message, exec, query);
+                } else {
+                    exec();
+                }
+            }
+            if (command.getArgs().length) {
+                me.askForArgs(command, execCommand);
+            } else {
+                execCommand();
+            }
+        },
+
+        /**
+         * Executes a command's action and handles its outcome. If the action returns a promise (any object
+         * with a 'then' method, such as a jQuery Deferred) then the QuickBar stays open in its busy state
+         * until it settles. Once the action succeeds the QuickBar is closed, after displaying the result
+         * for a moment if it is a message (see the execDone method); if it fails, by throwing an error or
+         * rejecting its promise, then the error is displayed (see the execFailed method.) The command the
+         * user chose is recorded in the usage history once its action has run.
+         * @param {Object} data The 'command', its 'arg' and whether to open URLs in a 'newTab', as passed to
+         *        the 'beforeExec' event.
+         */
+        execute: function(data) {
+            var me = this,
+                chosen = me._chosen,
+                execId = ++me._execId,
+                result;
+            try {
+                result = data.command.exec(data.arg, {context: me.context, newTab: data.newTab});
+            } catch (error) {
+                me.execFailed(data, error);
+                return;
+            }
+            if (me.history && chosen) {
+                me.history.record(chosen.command, chosen.query);
+                me._knownCommands[chosen.command.getId()] = chosen.command;
+                me._chosen = null;
+            }
+            if (result && $.isFunction(result.then)) {
+                me.setBusy(true);
+                // The outcome is ignored if the QuickBar was destroyed or stopped waiting in the meantime
+                result.then(function(value) {
+                    if (execId === me._execId) {
+                        me.setBusy(false);
+                        me.execDone(data, value);
+                    }
+                }, function(error) {
+                    if (execId === me._execId) {
+                        me.setBusy(false);
+                        me.execFailed(data, error);
+                    }
+                });
+            } else {
+                me.execDone(data, result);
+            }
+        },
+
+        /**
+         * Handles the successful execution of a command: fires the 'exec' event and closes the QuickBar. If
+         * the action's result is a message, either a string or an object with a 'message' property, then it
+         * is displayed for 'messageTimeout' milliseconds first.
+         * @param {Object} data The 'command' and its 'arg'
+         * @param {Mixed} result The action's result
+         */
+        execDone: function(data, result) {
+            var me = this,
+                message = typeof result === 'string' ? result : result && result.message;
+            data.result = result;
+            me.fire('exec', data);
+            me.pushUndo(data);
+            if (message) {
+                if (!me._vis) {
+                    me.show();
+                }
+                me.stopAskingForArg();
+                me.getBox().find('input').selectionList('hide');
+                me.showMessage(message);
+                me._messageTimer = setTimeout(function() {
+                    me.hide();
+                }, me.messageTimeout);
+            } else {
+                me.hide();
+            }
+        },
+
+        /**
+         * Remembers how to undo an executed command, if it is undoable: either its action returned a function
+         * (or its promise resolved to one), which is called to undo it, or the command has an 'undo' handler,
+         * which is passed the command's arg and the action's result. The command can then be undone until
+         * 'undoTimeout' milliseconds have passed, or until 'undoLimit' more recent commands have been run.
+         * @param {Object} data The 'command', its 'arg' and the action's 'result'
+         */
+        pushUndo: function(data) {
+            var me = this,
+                command = data.command,
+                result = data.result,
+                stack = me._undoStack,
+                fn = $.isFunction(result) ? result :
+                     command.undo ? function() {
+                         return command.undo(data.arg, result);
+                     } : null;
+            if (fn && !command.isUndo) {
+                stack.push({command: command, fn: fn, time: new Date().getTime()});
+                if (stack.length > me.undoLimit) {
+                    stack.splice(0, stack.length - me.undoLimit);
+                }
+            }
+        },
+
+        /**
+         * Returns the built-in commands which undo the commands that can still be undone, most recent first.
+         * Running one of them forgets its undo entry, along with any that have expired.
+         * @return {Array} Command objects
+         */
+        getUndoCommands: function() {
+            var me = this,
+                timeout = me.undoTimeout,
+                now = new Date().getTime(),
+                stack = me._undoStack = $.grep(me._undoStack, function(entry) {
+                    return !timeout || now - entry.time < timeout;
+                });
+            return $.map(stack.slice().reverse(), function(entry) {
+                var command = entry.command;
+                return entry.undoCommand || (entry.undoCommand = new Command({
+                    name: Command.applyTemplate(me.undoName, {name: command.name}),
+                    id: 'undo:' + command.getId(),
+                    icon: command.icon,
+                    track: false,
+                    isUndo: true,
+                    action: function() {
+                        me._undoStack = $.grep(me._undoStack, function(other) {
+                            return other !== entry;
+                        });
+                        return entry.fn();
+                    }
+                }));
+            });
+        },
+
+        /**
+         * Undoes the most recent undoable command, if there is one that has not expired.
+         * @return {Boolean} Whether there was a command to undo.
+         */
+        undo: function() {
+            var command = this.getUndoCommands()[0];
+            if (command) {
+                this.runCommand(command);
+            }
+            return !!command;
+        },
+
+        /**
+         * Handles the failure of a command's action: fires the 'execError' event and, unless a handler
+         * cancels it, displays the error in the QuickBar so the user can correct the input and try again.
+         * @param {Object} data The 'command' and its 'arg'
+         * @param {Mixed} error The thrown error or rejection reason; its message is displayed if it has one,
+         *        otherwise the 'execErrorMessage'.
+         */
+        execFailed: function(data, error) {
+            var me = this;
+            data.error = error;
+            if (me.fire('execError', data)) {
+                if (!me._vis) {
+                    me.show();
+                }
+                me.showError(typeof error === 'string' ? error : error && error.message || me.execErrorMessage);
+            }
+        },
+
+        /**
+         * Puts the QuickBar into or out of its busy state, used while waiting for an asynchronous action:
+         * the entry field is disabled and a spinner is displayed.
+         * @param {Boolean} busy
+         */
+        setBusy: function(busy) {
+            var me = this,
+                box = me.getBox(),
+                input = box.find('input'),
+                spinner = me._spinnerEl || (me._spinnerEl = $(me.spinnerMarkup).hide().appendTo(box));
+            me._busy = busy;
+            box.toggleClass('busy', busy).attr('aria-busy', busy ? 'true' : 'false');
+            spinner[busy ? 'show' : 'hide']();
+            input.attr('disabled', busy);
+            if (!busy) {
+                input.focus();
+            }
+        },
+
+        /**
+         * Stops waiting for the asynchronous command the QuickBar is busy with, leaving the busy state and
+         * closing the QuickBar. The command's outcome is ignored when it eventually settles.
+         */
+        cancelBusy: function() {
+            var me = this;
+            if (me._busy) {
+                me._execId++;
+                me.setBusy(false);
+                me.hide();
+            }
+        },
+
+        /**
+         * Clears the cached results of all command sources that cache them, e.g. after the commands
+         * available from the server have changed.
+         */
+        clearCache: function() {
+            $.each(this.sources, function(i, source) {
+                if (source.clearCache) {
+                    source.clearCache();
+                }
+            });
+        },
+
+        /**
+         * Forgets all remembered command usage, so that no commands are boosted in the results.
+         */
+        clearHistory: function() {
+            if (this.history) {
+                this.history.clear();
+            }
+        },
+
+        /**
+         * Asks the user for each of the selected Command's arguments in turn (see the askForArg method).
+         * Pressing Backspace in an empty field returns to the previous argument.
+         * @param {Command} command The Command object whose arguments are being requested
+         * @param {Function} callback A callback function that will be called when the user has submitted
+         *        all the arguments. It will be passed an object of the coerced values keyed by argument name.
+         */
+        askForArgs: function(command, callback) {
+            var me = this,
+                args = command.getArgs(),
+                values = {},
+                entries = {},
+                step = 0;
+
+            function ask() {
+                var arg = args[step];
+                me.askForArg(command, arg, function(value, entered) {
+                    values[arg.name] = value;
+                    entries[arg.name] = entered;
+                    if (++step < args.length) {
+                        ask();
+                    } else {
+                        callback(values);
+                    }
+                }, step > 0 ? function() {
+                    step--;
+                    ask();
+                } : null, entries[arg.name]);
+            }
+            ask();
+        },
+
+        /**
+         * Puts the UI into the mode where it is asking the user for an argument to the selected Command. If the
+         * argument has a source of suggested values, these are searched as the user types and listed in the
+         * dropdown; selecting one submits it, while Tab copies it into the field for further editing. The
+         * submitted value is coerced to the argument's type, and if it is not valid then an error is displayed
+         * and the user must correct it before continuing.
+         * @param {Command} command The Command object whose argument is being requested
+         * @param {Object} arg The argument being requested, as returned by the command's getArgs method
+         * @param {Function} callback A callback function that will be called when the user submits a valid
+         *        argument. It will be passed the coerced value, and the value as it was entered.
+         * @param {Function} backFn An optional function that will be called if the user presses Backspace
+         *        in the empty field, to return to the previous argument.
+         * @param {String} value An optional initial value for the field, overriding the argument's default.
+         */
+        askForArg: function(command, arg, callback, backFn, value) {
+            var me = this,
+                box = me.getBox(),
+                data = {
+                    command: command,
+                    arg: arg,
+                    value: value !== undefined ? value : arg['default'] || '',
+                    label: $.map(me.getBreadcrumb(), function(crumb) {
+                               return crumb + ' &rsaquo; ';
+                           }).join('') +
+                           command.getLabelHtml() + (arg.label ? ' - ' + arg.label : '') + ':'
+                };
+
+            function submit(value) {
+                var result = command.coerceArg(arg, value);
+                if (result.error) {
+                    me.showError(result.error);
+                } else {
+                    me.clearError();
+                    callback(result.value, value);
+                }
+            }
+
+            // Handlers may change the label or the initial value
+            me.fire('argPrompt', data);
+            box.find('label').html(data.label);
+
+            box.find('input')
                 .selectionList('clear')
-                .val(command.argDefault || '')
+                .selectionList('hide')
+                .unbind('.quickBarArg')
+                .val(data.value)
                 .bind('keypress.quickBarArg', function(e) {
-                    if (e.which === 13) { //enter key finishes arg entry
-                        callback(this.value);
+                    if (e.which === 13) { //enter key finishes arg entry, if valid
+                        submit(this.value);
+                        e.stopPropagation();
+                    }
+                })
+                .bind('keydown.quickBarArg', function(e) {
+                    var suggestion;
+                    if (e.which === 8 && backFn && !this.value) { //backspace in empty field goes back
+                        backFn();
+                        e.preventDefault();
+                    }
+                    else if (e.which === 9) { //tab copies the highlighted suggestion into the field
+                        suggestion = me.getHighlighted();
+                        if (suggestion) {
+                            this.value = suggestion.getValue();
+                            $(this).selectionList('hide');
+                            e.preventDefault();
+                        }
+                    }
+                })
+                .focus();
+
+            me._askingForArg = 1;
+            me._argSubmit = submit;
+            me._argSource = command.getArgSource(arg);
+            me._lastChars = me._query = me._results = null;
+            if (me._argSource) {
+                me.search();
+            }
+        },
+
+        /**
+         * Takes the UI out of the argument mode (see the askForArg method), returning it to the initial state
+         * or to choosing a verb for the chosen subject.
+         */
+        stopAskingForArg: function() {
+            if (this._askingForArg) {
+                var me = this,
+                    input = me.getBox().find('input');
+
+                me.updateLabel();
+                input.val('').unbind('.quickBarArg').selectionList('clear');
+                me.clearError();
+
+                me._askingForArg = 0;
+                me._argSubmit = me._argSource = me._lastChars = me._query = me._results = null;
+            }
+        },
+
+        /**
+         * Puts the UI into the mode where the user must confirm that a command should be executed, by pressing
+         * the 'confirmKeystroke' or, if the command's 'confirmBy' config (or else the QuickBar's) is 'name',
+         * by typing the command's name and pressing Enter. Escape cancels, going back to the results for the
+         * query from which the command was chosen.
+         * @param {Command} command The command awaiting confirmation
+         * @param {String} message The confirmation message
+         * @param {Function} callback A callback function that will be called when the user confirms.
+         * @param {String} query The query from which the command was chosen.
+         */
+        askToConfirm: function(command, message, callback, query) {
+            var me = this,
+                box = me.getBox(),
+                input = box.find('input'),
+                byName = (command.confirmBy || me.confirmBy) === 'name',
+                hint = Command.applyTemplate(byName ? me.confirmNameHint : me.confirmKeyHint, {
+                    name: command.name,
+                    key: me._confirmKeystroke.getLabel()
+                });
+
+            function confirm() {
+                me.stopConfirming();
+                callback();
+            }
+
+            me.stopAskingForArg();
+            box.find('label').html(escapeHtml(message) + ' <span class="hint">' + escapeHtml(hint) + '</span>');
+            input.selectionList('clear')
+                .selectionList('hide')
+                .val('')
+                .attr('readonly', !byName)
+                .bind('keydown.quickBarConfirm', function(e) {
+                    if (!byName && me._confirmKeystroke.matches(e)) {
+                        e.preventDefault();
+                        confirm();
+                    }
+                })
+                .bind('keypress.quickBarConfirm', function(e) {
+                    if (byName && e.which === 13) { //enter confirms if the name was typed
                         e.stopPropagation();
+                        if ($.trim(this.value).toLowerCase() === command.name.toLowerCase()) {
+                            confirm();
+                        } else {
+                            me.showError(me.confirmNameError);
+                        }
+                    }
+                })
+                .focus();
+
+            me._confirming = 1;
+            me._confirmCancel = function() {
+                me.stopConfirming();
+                input.val(query || '');
+                me.search();
+            };
+        },
+
+        /**
+         * Takes the UI out of the confirmation mode (see the askToConfirm method.)
+         */
+        stopConfirming: function() {
+            var me = this;
+            if (me._confirming) {
+                me.updateLabel();
+                me.getBox().find('input').val('').removeAttr('readonly').unbind('.quickBarConfirm');
+                me.clearError();
+                me._confirming = 0;
+                me._confirmCancel = me._lastChars = me._query = me._results = null;
+            }
+        },
+
+        /**
+         * Displays an error message within the QuickBar UI, e.g. for an invalid argument.
+         * @param {String} message
+         */
+        showError: function(message) {
+            var me = this,
+                box = me.getBox(),
+                el = me._errorEl || (me._errorEl = $(me.errorMarkup).appendTo(box));
+            el.text(message).show();
+            box.find('input').attr('aria-invalid', 'true');
+        },
+
+        /**
+         * Displays a message within the QuickBar UI, e.g. the result of a command.
+         * @param {String} message
+         */
+        showMessage: function(message) {
+            var me = this,
+                el = me._messageEl || (me._messageEl = $(me.messageMarkup).appendTo(me.getBox()));
+            el.text(message).show();
+        },
+
+        /**
+         * Removes any displayed error message.
+         */
+        clearError: function() {
+            var me = this;
+            if (me._errorEl) {
+                me._errorEl.hide().empty();
+                me.getBox().find('input').removeAttr('aria-invalid');
+            }
+        },
+
+        /**
+         * Changes the QuickBar's configuration at runtime. Accepts the same properties as the constructor;
+         * the QuickBar is closed first. The given 'sources' and 'verbs' replace the existing ones, the
+         * 'contextKeys' and 'listeners' are added to the existing ones, and changes to the markup take effect
+         * when the QuickBar is next opened.
+         * @param {Object} cfg
+         */
+        setOptions: function(cfg) {
+            var me = this;
+            me.hide();
+            $.extend(me, cfg, {
+                sources: me.sources,
+                verbs: me.verbs,
+                history: me.history,
+                contextKeys: me.contextKeys,
+                parent: me.parent
+            });
+
+            if ('keystroke' in cfg) {
+                me._keystroke = new Keystroke(me.keystroke, {global: true});
+            }
+            if ('pinKeystroke' in cfg) {
+                me._pinKeystroke = new Keystroke(me.pinKeystroke);
+            }
+            if ('confirmKeystroke' in cfg) {
+                me._confirmKeystroke = new Keystroke(me.confirmKeystroke);
+            }
+            if ('undoKeystroke' in cfg) {
+                me._undoKeystroke = new Keystroke(me.undoKeystroke);
+            }
+            if ('sources' in cfg || 'keystroke' in cfg) {
+                me._hotkeys = [];
+                if ('sources' in cfg) {
+                    me.destroySources();
+                    me.sources = [];
+                    me.addSources(cfg.sources);
+                } else {
+                    $.each(me.sources, function(i, source) {
+                        me.addHotkeys(source);
+                    });
+                }
+            }
+            if ('verbs' in cfg) {
+                me.verbs = [];
+                me.addVerbs(cfg.verbs);
+            }
+            if ('history' in cfg) {
+                me.history = cfg.history ? new UsageHistory(cfg.history) : null;
+            }
+            $.extend(me.contextKeys, cfg.contextKeys);
+            $.each(cfg.listeners || {}, function(type, fn) {
+                me.on(type, fn);
+            });
+
+            if ('boxMarkup' in cfg || 'errorMarkup' in cfg) {
+                me.removeBox();
+            }
+            if ('parent' in cfg) {
+                me.parent = $(cfg.parent);
+                if (me._box) {
+                    me._box.appendTo(me.parent);
+                }
+            }
+            if (me._box) {
+                me.updateLabel();
+            }
+        },
+
+        /**
+         * Removes the QuickBar from the page, unbinding all its event handlers and removing its element.
+         * The instance cannot be used afterwards. Unlike hiding, this cannot be cancelled, and it abandons
+         * any pending search or command; the results of those that settle later are ignored.
+         */
+        destroy: function() {
+            var me = this;
+            clearTimeout(me._searchTimer);
+            clearTimeout(me._messageTimer);
+            me._searchTimer = me._messageTimer = null;
+            me._execId++;
+            me._busy = false;
+            me._vis = 0;
+            // Searches that settle later must neither list their results nor create the element again
+            me._destroyed = true;
+            me._lastChars = me._query = me._results = me._loadingSources = null;
+            me.removeBox();
+            me.destroySources();
+            // The sources of the open menus and of the argument being asked for may still be loading too
+            me.destroySources($.map(me._menus, function(menu) {
+                return menu.getChildSource();
+            }).concat(me._argSource || []));
+            me._menus = [];
+            me._argSource = null;
+            me._listeners = {};
+            me._hotkeys = [];
+            instances = $.grep(instances, function(bar) {
+                return bar !== me;
+            });
+            if (!instances.length) {
+                $(document).unbind('keydown', onDocumentKey);
+            }
+        },
+
+        /**
+         * Lets the command sources which need it release their resources, e.g. stop observing the page.
+         * @param {Array} sources The sources to release: by default the QuickBar's own sources.
+         */
+        destroySources: function(sources) {
+            $.each(sources || this.sources, function(i, source) {
+                if (source.destroy) {
+                    source.destroy();
+                }
+            });
+        },
+
+        /**
+         * Removes the QuickBar element and its selection list, if they have been created. A new element is
+         * created when it is next needed.
+         */
+        removeBox: function() {
+            var me = this,
+                box = me._box;
+            if (box) {
+                box.find('input').selectionList('destroy');
+                box.remove();
+                me._box = me._errorEl = me._messageEl = me._spinnerEl = null;
+            }
+        },
+
+        /**
+         * Returns the main outer element for the QuickBar UI, creating it first if necessary.
+         * @return {jQuery} The jQuery instance for the main QuickBar element
+         */
+        getBox: function() {
+            var me = this,
+                box = me._box;
+            if (!box) {
+                box = me._box = $(me.boxMarkup.replace(/{inputId}/g, 'qbInp' + id++).replace(/{label}/g, me.mainLabel))
+                                .hide().appendTo(me.parent);
+                // Choosing with the mouse is not affected by the modifiers of an earlier Enter key
+                box.mousedown(function() {
+                    me._enterKey = null;
+                });
+                box.find('input').bind({
+                    keyup: proxy(me.onInputKey, me),
+                    keydown: proxy(me.onInputKeydown, me),
+                    blur: proxy(me.hide, me),
+                    select: proxy(me.itemSelected, me)
+                });
+            }
+            return box;
+        }
+    });
+
+
+    /**
+     * @class UsageHistory
+     * Remembers which commands the user has chosen, and for which entered characters, persisting them in
+     * localStorage. Produces a "frecency" boost for each command, combining how often and how recently it
+     * was chosen, which the QuickBar adds to the command's match score. Also remembers the commands the
+     * user has pinned.
+     * @constructor
+     * @param {Object} cfg The configuration for this instance. Members are copied directly onto the
+     *        instance, which allows overriding any of its properties or methods.
+     */
+    function UsageHistory(cfg) {
+        $.extend(this, cfg);
+        this.load();
+    }
+    $.extend(UsageHistory.prototype, {
+        /**
+         * The localStorage key under which the history is persisted.
+         */
+        storageKey: 'quickBarHistory',
+
+        /**
+         * The localStorage key under which the ids of the pinned commands are persisted.
+         */
+        pinStorageKey: 'quickBarPins',
+
+        /**
+         * The time in milliseconds over which the weight of a command's past usage halves. Defaults to a week.
+         */
+        halfLife: 7 * 24 * 60 * 60 * 1000,
+
+        /**
+         * The maximum score boost given to a command, so that heavily used commands that match poorly
+         * don't drown out good matches.
+         */
+        maxBoost: 30,
+
+        /**
+         * The maximum number of commands to remember; the least used are forgotten first.
+         */
+        maxEntries: 200,
+
+        /**
+         * The maximum number of distinct entered queries to remember per command.
+         */
+        maxQueries: 10,
+
+        /**
+         * Records that the given command was chosen after entering the given characters.
+         * @param {Command} command
+         * @param {String} chars
+         */
+        record: function(command, chars) {
+            if (command.track !== false) {
+                var me = this,
+                    id = command.getId(),
+                    entry = hasOwn(me.data, id) ? me.data[id] : (me.data[id] = {n: 0, q: {}}),
+                    query = (chars || '').toLowerCase(),
+                    queries = [];
+                entry.n++;
+                entry.t = me.now();
+                if (query) {
+                    entry.q[query] = (hasOwn(entry.q, query) ? entry.q[query] : 0) + 1;
+                    $.each(entry.q, function(q, count) {
+                        queries.push({q: q, count: count});
+                    });
+                    queries.sort(function(a, b) {
+                        return b.count - a.count;
+                    });
+                    $.each(queries.slice(me.maxQueries), function(i, q) {
+                        delete entry.q[q.q];
+                    });
+                }
+                me.prune();
+                me.save();
+            }
+        },
+
+        /**
+         * Calculates the score boost for the given command when the given characters are entered.
+         * @param {Command} command
+         * @param {String} chars
+         * @return {Number}
+         */
+        getBoost: function(command, chars) {
+            var me = this,
+                id = command.getId(),
+                entry = command.track !== false && hasOwn(me.data, id) && me.data[id],
+                query = (chars || '').toLowerCase(),
+                frecency;
+            if (!entry) {
+                return 0;
+            }
+            frecency = me.getFrecency(entry) * (1 + 2 * (hasOwn(entry.q, query) ? entry.q[query] : 0) / entry.n);
+            return Math.min(me.maxBoost, Math.round(10 * Math.log(1 + frecency)));
+        },
+
+        /**
+         * Returns the combined frequency and recency weight of a history entry.
+         * @param {Object} entry
+         * @return {Number}
+         */
+        getFrecency: function(entry) {
+            return entry.n * Math.pow(0.5, (this.now() - entry.t) / this.halfLife);
+        },
+
+        /**
+         * Returns the ids of the remembered commands, most recently chosen first.
+         * @return {Array}
+         */
+        getRecent: function() {
+            var data = this.data,
+                ids = [];
+            $.each(data, function(id) {
+                ids.push(id);
+            });
+            return ids.sort(function(a, b) {
+                return data[b].t - data[a].t;
+            });
+        },
+
+        /**
+         * Pins the given command.
+         * @param {Command} command
+         */
+        pin: function(command) {
+            if (!this.isPinned(command)) {
+                this.pins.push(command.getId());
+                this.save();
+            }
+        },
+
+        /**
+         * Unpins the given command.
+         * @param {Command} command
+         */
+        unpin: function(command) {
+            var id = command.getId();
+            this.pins = $.grep(this.pins, function(pinId) {
+                return pinId !== id;
+            });
+            this.save();
+        },
+
+        /**
+         * Determines whether the given command is pinned.
+         * @param {Command} command
+         * @return {Boolean}
+         */
+        isPinned: function(command) {
+            return $.inArray(command.getId(), this.pins) >= 0;
+        },
+
+        /**
+         * Returns the ids of the pinned commands, in the order they were pinned.
+         * @return {Array}
+         */
+        getPinned: function() {
+            return this.pins.slice();
+        },
+
+        /**
+         * Forgets the remembered usage of a single command.
+         * @param {Command} command
+         */
+        forget: function(command) {
+            delete this.data[command.getId()];
+            this.save();
+        },
+
+        /**
+         * Forgets all remembered command usage. Pinned commands remain pinned.
+         */
+        clear: function() {
+            this.data = {};
+            this.save();
+        },
+
+        /**
+         * Removes the least used entries if there are more than the maximum allowed.
+         */
+        prune: function() {
+            var me = this,
+                entries = [];
+            $.each(me.data, function(id, entry) {
+                entries.push({id: id, frecency: me.getFrecency(entry)});
+            });
+            if (entries.length > me.maxEntries) {
+                entries.sort(function(a, b) {
+                    return b.frecency - a.frecency;
+                });
+                $.each(entries.slice(me.maxEntries), function(i, entry) {
+                    delete me.data[entry.id];
+                });
+            }
+        },
+
+        /**
+         * Loads the history from localStorage. A missing or unreadable stored value results in an empty history.
+         */
+        load: function() {
+            var data, pins;
+            try {
+                data = JSON.parse(window.localStorage.getItem(this.storageKey));
+                pins = JSON.parse(window.localStorage.getItem(this.pinStorageKey));
+            } catch (e) {}
+            this.data = $.isPlainObject(data) ? data : {};
+            this.pins = $.isArray(pins) ? pins : [];
+        },
+
+        /**
+         * Saves the history to localStorage. Failures, e.g. due to storage being disabled or full, are ignored.
+         */
+        save: function() {
+            try {
+                window.localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+                window.localStorage.setItem(this.pinStorageKey, JSON.stringify(this.pins));
+            } catch (e) {}
+        },
+
+        /**
+         * Returns the current time in milliseconds.
+         */
+        now: function() {
+            return new Date().getTime();
+        }
+    });
+
+
+    /**
+     * A command source implementation whose commands are specified locally in the page's JavaScript.
+     * @constructor
+     * @param {Object} cfg The configuration for the command source. Recognized properties:
+     *     commands - {Array} An array of Command configuration objects
+     *     onAddCommand - {Function} Called with each Command added after the source was created; the
+     *         QuickBar sets this to register the commands' hotkeys.
+     */
+    function LocalCommandSource(cfg) {
+        $.extend(this, cfg, {commands: []});
+        this.addCommands(cfg.commands);
+    }
+    $.extend(LocalCommandSource.prototype, {
+        search: function(chars, callback) {
+            var me = this,
+                matches;
+
+            matches = $.map(me.commands, function(command) {
+                return !chars || command.isMatch(chars) ? command : null;
+            });
+            callback(matches);
+        },
+
+        addCommand: function(commandCfg) {
+            var me = this,
+                command = new Command($.extend({matcher: me.matcher}, commandCfg));
+            me.commands.push(command);
+            if (me.onAddCommand) {
+                me.onAddCommand(command);
+            }
+            return command;
+        },
+
+        /**
+         * Returns all of this source's commands.
+         * @return {Array}
+         */
+        getCommands: function() {
+            return this.commands;
+        },
+
+        /**
+         * Looks up one of this source's commands by its id.
+         * @param {String} id
+         * @return {Command} The command, or null if not found.
+         */
+        getCommand: function(id) {
+            var found = null;
+            $.each(this.commands, function(i, command) {
+                if (command.getId() === id) {
+                    found = command;
+                    return false;
+                }
+            });
+            return found;
+        },
+
+        addCommands: function(commands) {
+            if ($.isArray(commands)) {
+                var me = this;
+                $.each(commands, function(i, commandCfg) {
+                    me.addCommand(commandCfg);
+                });
+            }
+        }
+    });
+
+
+    /**
+     * A command source implementation that performs its search by making an ajax request to a given URL.
+     * A new search aborts the previous request if it is still pending, so only the latest results are used.
+     * @constructor
+     * @param {Object} cfg The configuration for the command source. This will be passed as the settings
+     *        argument to the jQuery.ajax() call, and can therefore include all of that object's recognized
+     *        properties, except that the HTTP method is given as 'method' since 'type' is the source type.
+     *        In addition, it can contain these properties:
+     *     paramName - {String} The name of the submitted URL parameter that will contain the search value.
+     *         Defaults to 's'.
+     *     minChars - {Number} The minimum number of entered characters for which a request is made; shorter
+     *         searches find no commands. Defaults to 1.
+     *     errorMessage, timeoutMessage - {String} The errors reported to the QuickBar when a request fails
+     *         or times out.
+     *     cacheTtl - {Number} The time in milliseconds for which the results for each query are cached, or
+     *         0 to disable the cache. Defaults to 1 minute.
+     *     cacheSize - {Number} The maximum number of queries whose results are cached. Defaults to 50.
+     *
+     * If the server declares that the results for a query are complete, i.e. they include every command
+     * matching it, with a 'complete' field in the response object or the 'completeHeader' response header
+     * set to 'true', then the results for longer queries starting with it are found by filtering those
+     * results rather than by making another request. A response can also clear the cache, e.g. when the
+     * commands have changed, with an 'invalidate' field or the 'invalidateHeader' response header; and the
+     * clearCache method clears it programmatically.
+     */
+    function AjaxCommandSource(cfg) {
+        $.extend(this, cfg);
+        this._requests = 0;
+        this.clearCache();
+    }
+    $.extend(AjaxCommandSource.prototype, {
+        method: 'GET',
+        dataType: 'json',
+        paramName: 's',
+        minChars: 1,
+
+        /**
+         * The time in milliseconds after which a request is abandoned.
+         */
+        timeout: 10000,
+
+        errorMessage: 'Could not load the commands.',
+        timeoutMessage: 'Loading the commands took too long.',
+
+        cacheTtl: 60000,
+        cacheSize: 50,
+
+        /**
+         * The names of the response headers with which the server declares the results complete, or that
+         * the cache must be cleared.
+         */
+        completeHeader: 'X-QuickBar-Complete',
+        invalidateHeader: 'X-QuickBar-Invalidate',
+
+        /**
+         * Searches for commands by making a request with the entered characters, aborting the previous
+         * request if it is still pending. Cached results are used instead when available.
+         * @param {String} chars
+         * @param {Function} callback Passed the Command objects found.
+         * @param {Function} errorCallback Passed an error message if the request fails or times out.
+         */
+        search: function(chars, callback, errorCallback) {
+            var me = this,
+                data = me.data,
+                param = me.paramName,
+                request = ++me._requests,
+                cached;
+
+            me.abort();
+            if (chars.length < me.minChars) {
+                callback([]);
+                return;
+            }
+            cached = me.getCached(chars);
+            if (cached) {
+                callback(cached);
+                return;
+            }
+
+            // Adds the search parameter without changing the configured data shared by all requests
+            if (typeof data === 'string') {
+                data = (data ? data + '&' : '') + encodeURIComponent(param) + '=' + encodeURIComponent(chars);
+            } else {
+                data = $.extend({}, data);
+                data[param] = chars;
+            }
+
+            me._xhr = $.ajax($.extend({}, me, {
+                type: me.method,
+                data: data,
+                success: function(response, status, xhr) {
+                    var commands;
+                    if (request === me._requests) { //only use result if it's the most recent request
+                        me._xhr = null;
+                        commands = toCommands(me.processXhrData(response), me.matcher);
+                        if (isTrue(response, 'invalidate', xhr, me.invalidateHeader)) {
+                            me.clearCache();
+                        }
+                        me.putCached(chars, commands, isTrue(response, 'complete', xhr, me.completeHeader));
+                        callback(commands);
+                    }
+                },
+                error: function(xhr, status) {
+                    if (request === me._requests && status !== 'abort') {
+                        me._xhr = null;
+                        if (errorCallback) {
+                            errorCallback(status === 'timeout' ? me.timeoutMessage : me.errorMessage);
+                        }
+                    }
+                }
+            }));
+        },
+
+        /**
+         * Returns the cached results for the given query, if they have not expired: either those for the
+         * same query, or those for a shorter query that it starts with whose results are complete, filtered
+         * to the commands matching the query.
+         * @param {String} chars
+         * @return {Array} The Command objects, or null if there are no cached results.
+         */
+        getCached: function(chars) {
+            var me = this,
+                cache = me._cache,
+                now = me.now(),
+                lower = chars.toLowerCase(),
+                best = null;
+            $.each(me._cacheKeys.slice(), function(i, key) {
+                var entry = cache[key];
+                if (now - entry.time >= me.cacheTtl) {
+                    me.removeCached(key);
+                }
+                else if (key === chars) {
+                    best = entry;
+                }
+                else if (entry.complete && lower.indexOf(key.toLowerCase()) === 0 &&
+                        (!best || (best.complete && key.length > best.key.length))) {
+                    best = entry;
+                }
+            });
+            if (!best) {
+                return null;
+            }
+            // The most recently used entries are the last to be dropped
+            me.removeCached(best.key);
+            me._cacheKeys.push(best.key);
+            cache[best.key] = best;
+            return best.key === chars ? best.commands : $.grep(best.commands, function(command) {
+                return command.isMatch(chars);
+            });
+        },
+
+        /**
+         * Caches the results for the given query, dropping the least recently used results if the cache is
+         * full.
+         * @param {String} chars
+         * @param {Array} commands
+         * @param {Boolean} complete Whether the results include every command matching the query
+         */
+        putCached: function(chars, commands, complete) {
+            var me = this;
+            if (me.cacheTtl > 0) {
+                me.removeCached(chars);
+                me._cache[chars] = {key: chars, commands: commands, complete: complete, time: me.now()};
+                me._cacheKeys.push(chars);
+                while (me._cacheKeys.length > me.cacheSize) {
+                    me.removeCached(me._cacheKeys[0]);
+                }
+            }
+        },
+
+        /**
+         * Removes the cached results for the given query.
+         * @param {String} chars
+         */
+        removeCached: function(chars) {
+            var me = this;
+            if (Object.prototype.hasOwnProperty.call(me._cache, chars)) {
+                delete me._cache[chars];
+                me._cacheKeys = $.grep(me._cacheKeys, function(key) {
+                    return key !== chars;
+                });
+            }
+        },
+
+        /**
+         * Clears all cached results, so that every query is requested again.
+         */
+        clearCache: function() {
+            this._cache = {};
+            this._cacheKeys = [];
+        },
+
+        /**
+         * Returns the current time in milliseconds. Can be overridden, e.g. for testing.
+         * @return {Number}
+         */
+        now: function() {
+            return new Date().getTime();
+        },
+
+        /**
+         * Aborts the pending request, if any.
+         */
+        abort: function() {
+            var xhr = this._xhr;
+            this._xhr = null;
+            if (xhr) {
+                xhr.abort();
+            }
+        },
+
+        /**
+         * Aborts the pending request when the QuickBar is destroyed or its sources are replaced, so that its
+         * results are not delivered.
+         */
+        destroy: function() {
+            this.abort();
+        },
+
+        /**
+         * Extracts the list of results from the response data. Each result may be a string (used as the
+         * command name), a Command configuration object or a Command. By default the data can be either
+         * the array of results, or an object with the array as its 'commands' property. Override this to
+         * handle other formats, e.g. XML.
+         * @param {Mixed} data The response data
+         * @return {Array}
+         */
+        processXhrData: function(data) {
+            return $.isArray(data) ? data : data && data.commands;
+        }
+    });
+
+
+    /**
+     * A command source implementation that downloads its whole catalog of commands from a URL once, and then
+     * searches it locally like the 'local' source does. Searches made while the catalog is loading wait for
+     * it, and the QuickBar lists a loading row meanwhile.
+     * @constructor
+     * @param {Object} cfg The configuration for the command source. This will be passed as the settings
+     *        argument to the jQuery.ajax() call, with the HTTP method as 'method', like the 'ajax' source. In
+     *        addition, it can contain these properties:
+     *     prefetch - {Boolean} Whether to load the catalog straight away, rather than when the QuickBar is
+     *         first opened. Defaults to false.
+     *     revalidate - {Boolean} Whether to check for changes to the catalog each time the QuickBar is
+     *         opened, with a conditional request using the ETag and Last-Modified headers of the last
+     *         response, so the catalog is only downloaded again if it has changed. Defaults to false.
+     *     errorMessage - {String} The error reported to the QuickBar when the catalog cannot be loaded.
+     */
+    function PrefetchCommandSource(cfg) {
+        $.extend(this, cfg);
+        if (this.prefetch) {
+            this.load();
+        }
+    }
+    $.extend(PrefetchCommandSource.prototype, {
+        method: 'GET',
+        dataType: 'json',
+        timeout: 30000,
+        prefetch: false,
+        revalidate: false,
+        errorMessage: 'Could not load the commands.',
+
+        /**
+         * Searches the catalog for the matching commands, waiting for it if it is loading, and starting to
+         * load it if it has not been loaded.
+         * @param {String} chars
+         * @param {Function} callback Passed the matching Command objects.
+         * @param {Function} errorCallback Passed an error message if the catalog cannot be loaded.
+         */
+        search: function(chars, callback, errorCallback) {
+            var me = this;
+            if (me._local) {
+                me._local.search(chars, callback);
+            } else {
+                // Only the latest search is answered once the catalog arrives
+                me._pending = {chars: chars, callback: callback, errorCallback: errorCallback};
+                me.load();
+            }
+        },
+
+        /**
+         * Loads the catalog when the QuickBar is opened, if it has not been loaded yet, or checks whether it
+         * has changed if the 'revalidate' config is set.
+         */
+        open: function() {
+            var me = this;
+            if (!me._local || me.revalidate) {
+                me.load();
+            }
+        },
+
+        /**
+         * Tells whether searches are waiting for the catalog to load.
+         * @return {Boolean}
+         */
+        isLoading: function() {
+            return !this._local && !!this._xhr;
+        },
+
+        /**
+         * Requests the catalog, unless a request is already pending. If it has been loaded before, the request
+         * is conditional on it having changed since.
+         */
+        load: function() {
+            var me = this,
+                etag = me._etag,
+                lastModified = me._lastModified,
+                beforeSend = me.beforeSend;
+            if (me._xhr) {
+                return;
+            }
+            me._xhr = $.ajax($.extend({}, me, {
+                type: me.method,
+                beforeSend: function(xhr) {
+                    if (me._local && etag) {
+                        xhr.setRequestHeader('If-None-Match', etag);
+                    }
+                    if (me._local && lastModified) {
+                        xhr.setRequestHeader('If-Modified-Since', lastModified);
+                    }
+                    return beforeSend ? beforeSend.apply(this, arguments) : undefined;
+                },
+                success: function(data, status, xhr) {
+                    me._xhr = null;
+                    if (xhr.status !== 304 && status !== 'notmodified') {
+                        me.setCommands(me.processXhrData(data));
+                        me._etag = xhr.getResponseHeader('ETag');
+                        me._lastModified = xhr.getResponseHeader('Last-Modified');
+                    }
+                    me.loaded();
+                },
+                error: function(xhr, status) {
+                    var pending = me._pending;
+                    me._xhr = null;
+                    // Older jQuery versions fail to parse the empty body of a Not Modified response
+                    if (xhr && xhr.status === 304) {
+                        me.loaded();
+                    }
+                    else if (pending) {
+                        me._pending = null;
+                        if (pending.errorCallback) {
+                            pending.errorCallback(me.errorMessage);
+                        }
+                    }
+                }
+            }));
+        },
+
+        /**
+         * Aborts the pending request for the catalog, if any, dropping the search that was waiting for it.
+         */
+        abort: function() {
+            var me = this,
+                xhr = me._xhr;
+            me._xhr = me._pending = null;
+            if (xhr) {
+                xhr.abort();
+            }
+        },
+
+        /**
+         * Aborts the pending request when the QuickBar is destroyed or its sources are replaced.
+         */
+        destroy: function() {
+            this.abort();
+        },
+
+        /**
+         * Answers the search that was waiting for the catalog, if any.
+         */
+        loaded: function() {
+            var me = this,
+                pending = me._pending;
+            me._pending = null;
+            if (pending && me._local) {
+                me.search(pending.chars, pending.callback);
+            }
+        },
+
+        /**
+         * Replaces the catalog with the given commands.
+         * @param {Array} commands Command configs, names or Command objects
+         */
+        setCommands: function(commands) {
+            var local = new LocalCommandSource({matcher: this.matcher});
+            local.commands = toCommands(commands, this.matcher);
+            this._local = local;
+        },
+
+        /**
+         * Looks up one of the catalog's commands by its id.
+         * @param {String} id
+         * @return {Command} The command, or null if not found or the catalog has not been loaded.
+         */
+        getCommand: function(id) {
+            return this._local ? this._local.getCommand(id) : null;
+        },
+
+        /**
+         * Extracts the catalog from the response data: by default either an array of command configs, or an
+         * object with the array as its 'commands' property.
+         * @param {Mixed} data The response data
+         * @return {Array}
+         */
+        processXhrData: function(data) {
+            return $.isArray(data) ? data : data && data.commands;
+        }
+    });
+
+
+    /**
+     * A command source implementation that collects its commands from the elements on the page, so that
+     * users can find the links and buttons of the page by name. It keeps up with changes to the page by
+     * observing it with a MutationObserver where supported, and otherwise collects the commands again each
+     * time the QuickBar is opened.
+     * @constructor
+     * @param {Object} cfg The configuration for the command source. Recognized properties:
+     *     root - {String|Element} The element within which elements are collected. Defaults to the body.
+     *     selector - {String} The elements to collect: by default links, buttons, and any other elements
+     *         with a 'data-quickbar-name' attribute.
+     *     includeHidden, includeDisabled - {Boolean} Whether to also collect hidden and disabled elements.
+     *         Defaults to false.
+     *     configure - {Function} An optional function to customize each command, passed the command config
+     *         and the element.
+     *     onCollect - {Function} Called each time the commands have been collected; the QuickBar sets this to
+     *         register their hotkeys.
+     *
+     * Each element's command is named by its 'data-quickbar-name' attribute, or else its text (or the value
+     * of an input button, or its aria-label or title.) Its 'data-quickbar-alias' attribute gives aliases
+     * separated by commas, and its 'data-quickbar-icon' attribute an icon. Links go to their URL (in their
+     * 'target' window if they have one), and other elements are clicked. Each command's usage is remembered
+     * by its element's id, or a link's URL, or else its name.
+     *
+     * Nothing is collected until the QuickBar is first opened or searched, so the source can be created
+     * before its root element is in the page.
+     */
+    function DomCommandSource(cfg) {
+        $.extend(this, cfg);
+    }
+    $.extend(DomCommandSource.prototype, {
+        root: 'body',
+        selector: 'a[href], button, input[type=button], input[type=submit], [data-quickbar-name]',
+        includeHidden: false,
+        includeDisabled: false,
+
+        /**
+         * The commands are collected lazily, so the QuickBar registers their hotkeys each time they have
+         * been, when the source calls its onCollect handler, rather than when the source is added.
+         */
+        lazy: true,
+
+        /**
+         * The attributes whose changes can affect the collected commands. Changes to others, such as class
+         * names, are not observed, to keep up with busy pages cheaply. Ids must not be observed, as jQuery's
+         * selector engine sets them temporarily while querying within an element.
+         */
+        observedAttributes: ['href', 'target', 'value', 'title', 'style', 'hidden', 'disabled', 'aria-label',
+                             'aria-hidden', 'aria-disabled', 'data-quickbar-name', 'data-quickbar-alias',
+                             'data-quickbar-icon'],
+
+        search: function(chars, callback) {
+            this.getLocal().search(chars, callback);
+        },
+
+        /**
+         * Collects the commands when the QuickBar is opened, if they have not been yet or the page is not
+         * being observed.
+         */
+        open: function() {
+            if (!this._observer) {
+                this._local = null;
+            }
+            this.getLocal();
+        },
+
+        /**
+         * Returns the commands collected from the page.
+         * @return {Array}
+         */
+        getCommands: function() {
+            return this.getLocal().getCommands();
+        },
+
+        /**
+         * Looks up one of the commands collected from the page by its id.
+         * @param {String} id
+         * @return {Command} The command, or null if not found.
+         */
+        getCommand: function(id) {
+            return this.getLocal().getCommand(id);
+        },
+
+        /**
+         * Returns the commands as they were last collected, without collecting them.
+         * @return {Array} The commands, or an empty array if they have not been collected.
+         */
+        getCollected: function() {
+            return this._local ? this._local.getCommands() : [];
+        },
+
+        /**
+         * Returns a local source of the commands collected from the page, collecting them first if the page
+         * has changed since they were last collected, and then calling the onCollect handler if there is one.
+         * While the root element is not in the page, the source is empty.
+         * @return {LocalCommandSource}
+         */
+        getLocal: function() {
+            var me = this,
+                local = me._local,
+                root;
+            if (local && me._root && !$.contains(document.documentElement, me._root[0])) {
+                // The root has been replaced, e.g. by a single-page app
+                me.destroy();
+                local = null;
+            }
+            if (!local) {
+                root = me.getRoot();
+                local = new LocalCommandSource({matcher: me.matcher});
+                if (root) {
+                    local.addCommands(me.collect(me.getElements()));
+                    me._local = local;
+                    if (me.onCollect) {
+                        me.onCollect();
+                    }
+                }
+            }
+            return local;
+        },
+
+        /**
+         * Returns the root element, once it is in the page, and starts observing it for changes.
+         * @return {jQuery} The root element, or null if it is not in the page.
+         */
+        getRoot: function() {
+            var me = this,
+                root = $(me.root).eq(0),
+                Observer = window.MutationObserver;
+            if (!root.length) {
+                return null;
+            }
+            if (Observer && !me._observer) {
+                me._observer = new Observer(function(records) {
+                    if ($.grep(records, proxy(me.isRelevant, me)).length) {
+                        me._local = null;
+                    }
+                });
+                me._observer.observe(root[0], {
+                    childList: true,
+                    subtree: true,
+                    characterData: true,
+                    attributes: true,
+                    attributeFilter: me.observedAttributes
+                });
+            }
+            return me._root = root;
+        },
+
+        /**
+         * Returns the elements to collect commands from, in document order, leaving out hidden and disabled
+         * ones unless configured otherwise.
+         * @return {Array}
+         */
+        getElements: function() {
+            var me = this,
+                checked = [],
+                elements = $.grep(me._root.find(me.selector).get(), function(el) {
+                    return (me.includeHidden || !isHidden(el, checked)) && (me.includeDisabled || !isDisabled(el));
+                });
+            $.each(checked, function(i, node) {
+                $.removeData(node, 'quickBarHidden');
+            });
+            return elements;
+        },
+
+        /**
+         * Creates the command configs for the given elements.
+         * @param {Array} elements
+         * @return {Array}
+         */
+        collect: function(elements) {
+            var me = this;
+            return $.map(elements, function(el) {
+                return me.getCommandConfig(el);
+            });
+        },
+
+        /**
+         * Creates the command config for an element.
+         * @param {Element} el
+         * @return {Object} The config, or null if the element has no name.
+         */
+        getCommandConfig: function(el) {
+            var jq = $(el),
+                name = jq.attr('data-quickbar-name') || $.trim(jq.is('input') ? jq.val() : jq.text()).replace(/\s+/g, ' ') ||
+                       jq.attr('aria-label') || jq.attr('title'),
+                aliases = jq.attr('data-quickbar-alias'),
+                href = jq.is('a') && el.href,
+                url = href && Command.isSafeUrl(href) ? href : null,
+                cfg;
+            if (!name) {
+                return null;
+            }
+            cfg = {
+                // Identified by the element rather than the name, which the page's elements may share
+                id: el.id ? '#' + el.id : url || undefined,
+                name: name,
+                aliases: aliases ? $.grep($.map(aliases.split(','), $.trim), Boolean) : [],
+                icon: jq.attr('data-quickbar-icon') || undefined,
+                // Links whose URL is not allowed, e.g. javascript: links, are clicked instead
+                action: url ? {
+                    type: 'url',
+                    url: url.replace(/\{/g, '%7B').replace(/\}/g, '%7D'),
+                    target: el.target || undefined
+                } : {
+                    type: 'click',
+                    selector: el
+                }
+            };
+            if (this.configure) {
+                this.configure(cfg, el);
+            }
+            return cfg;
+        },
+
+        /**
+         * Determines whether a change to the page affects the collected commands: elements matching the
+         * selector were added or removed, or changed along with their text or any of their ancestors.
+         * @param {MutationRecord} record
+         * @return {Boolean}
+         */
+        isRelevant: function(record) {
+            var selector = this.selector,
+                target = record.target.nodeType === 1 ? record.target : record.target.parentNode;
+            return record.type === 'childList' && (matchesAny(record.addedNodes, selector) ||
+                                                   matchesAny(record.removedNodes, selector)) ||
+                   !!target && ($(target).closest(selector).length > 0 ||
+                                (record.type === 'attributes' && matchesAny([target], selector)));
+        },
+
+        /**
+         * Stops observing the page, and forgets the collected commands.
+         */
+        destroy: function() {
+            var me = this;
+            if (me._observer) {
+                me._observer.disconnect();
+                me._observer = null;
+            }
+            me._local = me._root = null;
+        }
+    });
+
+    /**
+     * Determines whether any of the given nodes matches a selector or contains an element that does.
+     * @param {Array} nodes The nodes, e.g. those a MutationRecord added or removed
+     * @param {String} selector
+     * @return {Boolean}
+     */
+    function matchesAny(nodes, selector) {
+        return $.grep(nodes || [], function(node) {
+            return node.nodeType === 1 && ($(node).is(selector) || $(node).find(selector).length > 0);
+        }).length > 0;
+    }
+
+    /**
+     * A command source implementation for jumping to the sections of a long page: it collects commands from
+     * the page's headings, its ARIA landmarks, and elements with ids. Elements with ids are named by their
+     * label (an aria-labelledby, aria-label, title or data-quickbar-name attribute), or else their text if
+     * it is short, or else their id; form fields and scripts without a label are left out. Each command is
+     * named after the path of headings leading to it, e.g. "Install \u203a Requirements", and jumps to its
+     * element (see the 'jump' action type.) Like the 'dom' source, which it extends, it collects the commands
+     * again when the page has changed.
+     * @constructor
+     * @param {Object} cfg The configuration for the command source. It recognizes the properties of the
+     *        'dom' source, and also:
+     *     separator - {String} The text separating the headings of a path. Defaults to ' \u203a '.
+     *     maxTextLength - {Number} The longest text an element with an id is named by; longer ones are named
+     *         by their id. Defaults to 60.
+     */
+    function HeadingsCommandSource(cfg) {
+        DomCommandSource.call(this, cfg);
+    }
+    $.extend(HeadingsCommandSource.prototype, DomCommandSource.prototype, {
+        selector: 'h1, h2, h3, h4, h5, h6, main, nav, aside, [role=main], [role=navigation], [role=complementary], ' +
+                  '[role=banner], [role=contentinfo], [role=search], [role=region][aria-label], [id]',
+        separator: ' \u203a ',
+        maxTextLength: 60,
+        observedAttributes: DomCommandSource.prototype.observedAttributes.concat('role', 'aria-labelledby'),
+
+        /**
+         * Determines whether a change to the page affects the collected commands. Unlike the 'dom' source,
+         * changes within the sections are ignored: only the elements matching the selector being added,
+         * removed or changed, and the text of headings, of the elements named by their text, and of the
+         * elements labeling others, are relevant.
+         * @param {MutationRecord} record
+         * @return {Boolean}
+         */
+        isRelevant: function(record) {
+            var selector = this.selector,
+                root = this._root,
+                target = record.target.nodeType === 1 ? record.target : record.target.parentNode;
+            function labels(el) {
+                return $.grep(root.find('[aria-labelledby]').get(), function(labelled) {
+                    return $.inArray(el.id, $(labelled).attr('aria-labelledby').split(/\s+/)) >= 0;
+                }).length > 0;
+            }
+            if (!target) {
+                return false;
+            }
+            if (record.type === 'attributes') {
+                return matchesAny([target], selector);
+            }
+            return record.type === 'childList' && (matchesAny(record.addedNodes, selector) ||
+                                                   matchesAny(record.removedNodes, selector)) ||
+                   $(target).closest('h1, h2, h3, h4, h5, h6').length > 0 ||
+                   $.grep(this._textNamed || [], function(el) {
+                       return el === target || $.contains(el, target);
+                   }).length > 0 ||
+                   $.grep($(target).parents('[id]').add(target).get(), function(el) {
+                       return !!el.id && labels(el);
+                   }).length > 0;
+        },
+
+        /**
+         * Creates the command configs for the given elements, naming each after the path of the headings
+         * leading to it: the headings of lower levels before it, for headings and other elements with ids,
+         * while landmarks are named on their own.
+         * @param {Array} elements
+         * @return {Array}
+         */
+        collect: function(elements) {
+            var me = this,
+                path = [];
+            me._textNamed = [];
+            return $.map(elements, function(el) {
+                var jq = $(el),
+                    level = /^h[1-6]$/i.test(el.nodeName) ? +el.nodeName.charAt(1) : 0,
+                    role = jq.attr('role') || HeadingsCommandSource.ImplicitRoles[el.nodeName.toLowerCase()],
+                    label,
+                    names,
+                    cfg;
+                if (level) {
+                    // A heading ends the sections of its own and deeper levels
+                    while (path.length && path[path.length - 1].level >= level) {
+                        path.pop();
+                    }
+                    path.push({level: level, name: getLabel(el) || $.trim(jq.text()).replace(/\s+/g, ' ')});
+                    names = $.map(path, function(step) {
+                        return step.name;
+                    });
+                }
+                else if (HeadingsCommandSource.Landmarks[role]) {
+                    names = [getLabel(el) || HeadingsCommandSource.Landmarks[role]];
+                }
+                else {
+                    label = getLabel(el);
+                    if (!label) {
+                        if (/^(input|select|textarea|option|script|style|template)$/i.test(el.nodeName)) {
+                            return null;
+                        }
+                        label = $.trim(jq.text()).replace(/\s+/g, ' ');
+                        if (label && label.length <= me.maxTextLength) {
+                            me._textNamed.push(el);
+                        } else {
+                            label = el.id;
+                        }
+                    }
+                    names = $.map(path, function(step) {
+                        return step.name;
+                    }).concat(label);
+                }
+                if (!names[names.length - 1]) {
+                    return null;
+                }
+                cfg = {
+                    name: names.join(me.separator),
+                    aliases: [names[names.length - 1]],
+                    action: {type: 'jump', selector: el}
+                };
+                if (me.configure) {
+                    me.configure(cfg, el);
+                }
+                return cfg;
+            });
+        }
+    });
+
+    /**
+     * The names of the ARIA landmark roles, used for landmarks that have no label of their own.
+     */
+    HeadingsCommandSource.Landmarks = {
+        main: 'Main Content',
+        navigation: 'Navigation',
+        complementary: 'Complementary Content',
+        banner: 'Banner',
+        contentinfo: 'Footer',
+        search: 'Search',
+        region: 'Region'
+    };
+
+    /**
+     * The landmark roles that elements have without a 'role' attribute.
+     */
+    HeadingsCommandSource.ImplicitRoles = {
+        main: 'main',
+        nav: 'navigation',
+        aside: 'complementary'
+    };
+
+    /**
+     * Returns an element's label from its aria-labelledby, aria-label, data-quickbar-name or title attribute.
+     * @param {Element} el
+     * @return {String} The label, or an empty string if it has none.
+     */
+    function getLabel(el) {
+        var jq = $(el),
+            labelledBy = jq.attr('aria-labelledby'),
+            label = labelledBy ? $.map(labelledBy.split(/\s+/), function(id) {
+                var labelEl = document.getElementById(id);
+                return labelEl ? $.trim($(labelEl).text()) : null;
+            }).join(' ') : '';
+        return $.trim(label || jq.attr('aria-label') || jq.attr('data-quickbar-name') || jq.attr('title') || '');
+    }
+
+    /**
+     * Determines whether an element is hidden, by itself or an ancestor being undisplayed, invisible or
+     * hidden from assistive technology. The ancestors shared by the elements of a scan are checked only
+     * once: their results are kept as data until the scan removes it.
+     * @param {Element} el
+     * @param {Array} checked The elements whose results are kept for the scan, to which any newly checked
+     *        ones are added
+     * @return {Boolean}
+     */
+    function isHidden(el, checked) {
+        return $(el).css('visibility') === 'hidden' || isUndisplayed(el, checked);
+    }
+
+    /**
+     * Determines whether an element or one of its ancestors is undisplayed or hidden from assistive
+     * technology, keeping the result as the element's data for the rest of the scan.
+     * @param {Element} el
+     * @param {Array} checked
+     * @return {Boolean}
+     */
+    function isUndisplayed(el, checked) {
+        var hidden;
+        if (!el || el.nodeType !== 1) {
+            return false;
+        }
+        hidden = $.data(el, 'quickBarHidden');
+        if (typeof hidden !== 'boolean') {
+            hidden = !!(el.hidden || el.getAttribute('aria-hidden') === 'true' ||
+                        isUndisplayed(el.parentNode, checked) || $(el).css('display') === 'none');
+            $.data(el, 'quickBarHidden', hidden);
+            checked.push(el);
+        }
+        return hidden;
+    }
+
+    /**
+     * Determines whether an element is disabled, by itself or by being within a disabled fieldset or an
+     * element marked as disabled for assistive technology.
+     * @param {Element} el
+     * @return {Boolean}
+     */
+    function isDisabled(el) {
+        return el.disabled === true || $(el).closest('fieldset[disabled], [aria-disabled=true]').length > 0;
+    }
+
+
+    /**
+     * A command source implementation that calls a JavaScript function to perform its search.
+     * @constructor
+     * @param {Object} cfg The configuration for the command source. Recognized properties:
+     *     fn - {Function} The search function. It is passed the entered characters, and must either return
+     *         an array of results or pass them to the callback function given as its second argument. Each
+     *         result may be a string (used as the command name), a Command configuration object or a Command.
+     */
+    function FunctionCommandSource(cfg) {
+        $.extend(this, cfg);
+    }
+    $.extend(FunctionCommandSource.prototype, {
+        search: function(chars, callback) {
+            var me = this,
+                results = me.fn(chars, function(results) {
+                    callback(me.toCommands(results));
+                });
+            if ($.isArray(results)) {
+                callback(me.toCommands(results));
+            }
+        },
+
+        /**
+         * Converts an array of search function results into Command objects.
+         * @param {Array} results
+         * @return {Array}
+         */
+        toCommands: function(results) {
+            return toCommands(results, this.matcher);
+        }
+    });
+
+
+    /**
+     * Determines whether a response declares something with a field of its data, or a response header.
+     * @param {Mixed} response The response data
+     * @param {String} field The name of the field, which must be true
+     * @param {XMLHttpRequest} xhr The request, whose response header must be 'true'
+     * @param {String} header The name of the header
+     * @return {Boolean}
+     */
+    function isTrue(response, field, xhr, header) {
+        return !!(response && response[field] === true) ||
+               !!(xhr && header && /^\s*true\s*$/i.test(xhr.getResponseHeader(header) || ''));
+    }
+
+    /**
+     * Converts an array of search results into Command objects. Each result may be a string (used as the
+     * command name), a Command configuration object or a Command.
+     * @param {Array} results
+     * @param {String} matcher The matcher for the created commands
+     * @return {Array}
+     */
+    function toCommands(results, matcher) {
+        return $.map(results || [], function(result) {
+            return result instanceof Command ? result :
+                   new Command($.extend({matcher: matcher}, typeof result === 'string' ? {name: result} : result));
+        });
+    }
+
+
+    /**
+     * Mapping of command source 'type' names to their corresponding implementations. New implementation
+     * types can be registered by adding them to this mapping. Command source implementations are classes
+     * with only one required method: a 'search' method with the following arguments:
+     *     chars - {String} The characters entered by the user which are being used as the search term
+     *     callback - {Function} A function that will be called when the search is completed. It will be
+     *         passed a single argument, an array of Command objects. If the search resulted in no matches,
+     *         the array will be non-null but empty.
+     *     errorCallback - {Function} A function that may be called instead if the search fails, passing it
+     *         an error message to display in the QuickBar.
+     * Implementations may also have a 'getCommand' method, which takes a command id and returns the matching
+     * Command object or null; this allows pinned and recent commands to be listed after a page reload. An
+     * 'open' method is called each time the QuickBar is opened, e.g. to start loading commands; and an
+     * 'isLoading' method tells whether a search is waiting for commands to load, in which case the QuickBar
+     * lists a loading row until the search's callback is called. A 'destroy' method is called when the
+     * source is no longer used.
+     */
+    var CommandSources = {
+        local: LocalCommandSource,
+        ajax: AjaxCommandSource,
+        prefetch: PrefetchCommandSource,
+        dom: DomCommandSource,
+        headings: HeadingsCommandSource,
+        fn: FunctionCommandSource
+    };
+
+    /**
+     * Evaluates the 'when' condition of a command or command source against a QuickBar's context (see
+     * QuickBar.captureContext.) See the Command 'when' config for the kinds of condition.
+     * @param {Function|String|Object|Array} when The condition; a missing condition always passes.
+     * @param {Object} context
+     * @return {Boolean}
+     */
+    function checkWhen(when, context) {
+        var passed = true;
+        if (!when) {
+            return true;
+        }
+        if ($.isFunction(when)) {
+            return !!when(context);
+        }
+        if (typeof when === 'string') {
+            return !!context.focused && $(context.focused).closest(when).length > 0;
+        }
+        if ($.isArray(when)) {
+            $.each(when, function(i, condition) {
+                return (passed = checkWhen(condition, context));
+            });
+            return passed;
+        }
+        $.each(when, function(name, value) {
+            var actual = context.keys[name];
+            return (passed = typeof value === 'boolean' ? !!actual === value : actual === value);
+        });
+        return passed;
+    }
+
+    /**
+     * Creates a command source from its configuration, using the implementation for its 'type'. As a
+     * shorthand, an array config creates a local source of those commands (strings being used as command
+     * names), and a function config creates a 'fn' source calling that function.
+     * @param {Object|Array|Function} cfg
+     * @param {String} matcher The default matcher for the source's commands
+     * @return {Object} The command source
+     */
+    function createSource(cfg, matcher) {
+        if ($.isArray(cfg)) {
+            cfg = {type: 'local', commands: $.map(cfg, function(item) {
+                return typeof item === 'string' ? {name: item} : item;
+            })};
+        }
+        else if ($.isFunction(cfg)) {
+            cfg = {type: 'fn', fn: cfg};
+        }
+        cfg = $.extend({matcher: matcher}, cfg);
+        return new CommandSources[cfg.type || 'local'](cfg);
+    }
+
+
+
+    /**
+     * @class Command
+     * Models a single command that can be searched for and selected in the QuickBar.
+     * @constructor
+     * @param {Object} cfg The configuration for this command. The properties of this object will be copied
+     * directly onto the instance, overriding any existing properties of the same name (including methods,
+     * allowing the implementation to be customized per instance.) The more useful properties are:
+     *     name - {String} The name of the command. This is what gets displayed in the selection list, and
+     *         is used in pattern matching against the user's entered characters.
+     *
+     *     aliases - {Array} An optional set of additional names which will not be displayed, but will be
+     *         used in addition to the name in pattern matching.
+     *
+     *     regexp - {RegExp} An optional regular expression which will be applied against the user's entered
+     *         search characters to determine if this command is a match.
+     *
+     *     icon - {String} An optional icon image to be displayed alongside the command's name.
+     *
+     *     score - {Number} An optional fixed relevance score, overriding the score calculated by matching
+     *         the name and aliases. See Command.Scores for the scale.
+     *
+     *     id - {String} An optional unique identifier used by the usage history. Defaults to the name.
+     *
+     *     track - {Boolean} Set to false to exclude the command from the usage history. Defaults to true.
+     *
+     *     arg - {Boolean|String} Whether or not the command requires the user to enter an additional argument
+     *         for its execution, e.g. the search term for a web search. If a String is supplied, then that
+     *         will be used as an informative label for the argument's input field.
+     *
+     *     argDefault - {String} An optional initial value for the argument's input field.
+     *
+     *     argType - {String} The type of value expected for the argument (see Command.ArgTypes.)
+     *
+     *     argSource - {Array|Function|Object} An optional source of suggested values for the argument.
+     *
+     *     args - {Array} Used instead of 'arg' for commands that require several arguments, as an ordered list
+     *         of objects with 'name', 'label', 'default', 'required', 'type', 'options', 'validate', 'message'
+     *         and 'source' properties.
+     *
+     *     children - {Array|Function|Object} Makes the command a menu of sub-commands, given as an array of
+     *         command configs, a search function, or a command source config.
+     *
+     *     when - {Function|String|Object|Array} A condition which must pass for the command to be available:
+     *         a predicate function, a CSS selector for the focused element, or required context key values.
+     *
+     *     hotkey - {String|Array} A keystroke which runs the command directly without opening the QuickBar;
+     *         see the Keystroke class for the format.
+     *
+     *     confirm - {Boolean|String|Function} Makes the user confirm the command before it is executed, e.g.
+     *         for destructive commands. A String is used as the confirmation message, and a function is
+     *         passed the command's arg and returns the message, or false if no confirmation is needed.
+     *
+     *     confirmBy - {String} Overrides the QuickBar's 'confirmBy' config for this command: 'key' to confirm
+     *         by pressing the confirm keystroke, or 'name' to confirm by typing the command's name.
+     *
+     *     actions - {Array} Alternate actions for the command, each an object with a 'name', an 'action' and
+     *         optionally a 'keystroke' choosing it with Enter, and any other command config to override.
+     *
+     *     actionName - {String} The name of the command's own action when listed with its alternate actions.
+     *
+     *     undo - {Function} Makes the command undoable: called to undo it, with the arg the command was
+     *         executed with and the value its action returned. Alternatively the action can return a function
+     *         which undoes it.
+     *
+     *     action - {Object|Function} Defines the action to be performed when the command is executed. By
+     *         default this supports a JavaScript function to be called, a redirect URL, or an interaction with
+     *         an element on the page.
+     *
+     *         // Function action - the function will be passed the user-entered arg if it exists. For commands
+     *         // with multiple 'args', it is passed an object of the entered values keyed by argument name.
+     *         action: { type: 'fn', fn: function(arg) { ... } }
+     *
+     *         // The above may also be shortened to just a single function object:
+     *         action: function(arg) { ... }
+     *
+     *         // A function action may return a message to display, or a promise to wait for:
+     *         action: function(arg) { return $.post('/tasks', {title: arg}); }
+     *
+     *         // It may also return a function which undoes it:
+     *         action: function() { var old = theme; setTheme('dark'); return function() { setTheme(old); }; }
+     *
+     *         // URL action - the {arg} token in the URL will be replaced with the user-entered arg if it exists,
+     *         // URL-encoded. For commands with multiple 'args', a {name} token can be used for each argument.
+     *         // An optional 'target' names the window to open the URL in, e.g. '_blank' for a new tab.
+     *         action: { type: 'url', url: 'http://the.url.to/go/to/with/{arg}' }
+     *
+     *         // DOM actions - 'click', 'focus', 'scrollTo', 'submit', 'trigger' (with 'event' and 'data') and
+     *         // 'toggleClass' (with 'className') act on the elements matching a selector (see Command.Actions):
+     *         action: { type: 'click', selector: '#logout' }
+     */
+    function Command(cfg) {
+        var me = this;
+        $.extend(me, cfg);
+        me._matchCache = {};
+        // Reports misconfigured argument types up front rather than when the user enters a value
+        $.each(me.getArgs(), function(i, arg) {
+            getArgType(arg, me);
+        });
+    }
+    Command._reCache = {};
+    $.extend(Command.prototype, {
+        /**
+         * The name of the Command.Matchers implementation used to match this command against the user's
+         * entered characters. Normally this is inherited from the command source or the QuickBar.
+         */
+        matcher: 'standard',
+
+        /**
+         * Determine whether this command is a match for the given input string.
+         * @param {String} chars The string to match against.
+         * @return {Number} The match score, or 0 if the command does not match.
+         */
+        isMatch: function(chars) {
+            var match = this.getMatch(chars);
+            return match ? match.score : 0;
+        },
+
+        /**
+         * Matches this command against the given input string using its configured matcher. Caches the result.
+         * @param {String} chars The string to match against.
+         * @return {Object} The match details, or null if the command does not match. Has a 'score' property
+         *         (see Command.Scores), and an 'indices' property which is an array of the positions of the
+         *         characters in the command's name that were matched.
+         */
+        getMatch: function(chars) {
+            var me = this,
+                cache = me._matchCache;
+            if (!hasOwn(cache, chars)) {
+                cache[chars] = Command.Matchers[me.matcher].call(me, chars);
+            }
+            return cache[chars];
+        },
+
+        /**
+         * Returns the relevance score of this command for the given input string, which is used to order
+         * the merged results from all sources. If the command was configured with a fixed 'score' then
+         * that is used, otherwise it is calculated by the configured matcher. Commands that were returned
+         * by a source but do not match locally (e.g. matched by the server) get the minimum score.
+         * @param {String} chars The string to match against.
+         * @return {Number}
+         */
+        getScore: function(chars) {
+            var score = this.score;
+            return typeof score === 'number' ? score : (this.isMatch(chars) || Command.Scores.min);
+        },
+
+        /**
+         * Determine whether this command is a match for the given input string, and how relevant the match
+         * is, without caching. See Command.Matchers for the available matching strategies.
+         * @param {String} chars The string to match against.
+         * @return {Number} The match score (see Command.Scores), or 0 if the command does not match.
+         */
+        test: function(chars) {
+            var match = Command.Matchers[this.matcher].call(this, chars);
+            return match ? match.score : 0;
+        },
+
+        /**
+         * Returns the identifier used to remember this command's usage: its configured 'id', or else its name.
+         * @return {String}
+         */
+        getId: function() {
+            return this.id || this.name;
+        },
+
+        /**
+         * Returns the command's name as HTML, with the characters matched by the given input string wrapped
+         * in a 'match' element so the user can see why the command matched.
+         * @param {String} chars The string that was matched against.
+         * @return {String}
+         */
+        getNameHtml: function(chars) {
+            var name = this.name || '',
+                match = chars ? this.getMatch(chars) : null,
+                indices = match ? match.indices : [],
+                html = [],
+                i, len, isMatched, wasMatched;
+            for (i = 0, len = name.length; i < len; i++) {
+                isMatched = $.inArray(i, indices) >= 0;
+                if (isMatched !== wasMatched) {
+                    html.push(isMatched ? '<b class="match">' : (i ? '</b>' : ''));
+                }
+                html.push(escapeHtml(name.charAt(i)));
+                wasMatched = isMatched;
+            }
+            if (wasMatched) {
+                html.push('</b>');
+            }
+            return html.join('');
+        },
+
+        /**
+         * Generate a regular expression from the user's input characters, for use in matching against
+         * the configured name and aliases. Handles matching camel-cased input against word beginnings.
+         * Each group of input characters is captured, followed by a capture of the rest of its word.
+         * @param chars
+         */
+        getRE: function(chars) {
+            var cache = Command._reCache,
+                re = hasOwn(cache, chars) ? cache[chars] : null,
+                frag;
+            if (!re) {
+                re = ['\\b'];
+                while (frag = chars.match(/^[A-Za-z][^A-Z\s]*/)) {
+                    frag = frag[0];
+                    re.push('(' + frag + ')([a-z]*\\s*)');
+                    chars = chars.substring(frag.length).replace(/^\s+/, '');
+                }
+                re = new RegExp(re.join(''), 'i');
+            }
+            return re;
+        },
+
+        /**
+         * Returns the arguments the user must enter to execute this command, normalizing the single 'arg'
+         * config, or a verb's 'object' config, into the same form as the multiple 'args' config.
+         * @return {Array} Objects with 'name', 'label', 'default' and 'required' properties. Empty if the
+         *         command takes no arguments.
+         */
+        getArgs: function() {
+            var me = this,
+                arg = me.arg,
+                args = me.args || (me.object ? [$.extend({name: 'object'}, me.object)] : null);
+            if (args) {
+                return $.map(args, function(argCfg) {
+                    return $.extend({label: '', 'default': '', required: false}, argCfg);
+                });
+            }
+            return arg ? [{
+                name: 'arg',
+                label: typeof arg === 'string' ? arg : '',
+                'default': me.argDefault || '',
+                required: false,
+                type: me.argType,
+                source: me.argSource
+            }] : [];
+        },
+
+        /**
+         * Converts an entered argument value to the argument's type, and validates it.
+         * @param {Object} arg The argument, as returned by the getArgs method
+         * @param {Mixed} value The entered value; non-string values, e.g. from suggestions, are not coerced.
+         * @return {Object} An object with either the coerced 'value', or an 'error' message if it is invalid.
+         *         An empty optional argument has the value null, or the entered string for 'string' arguments.
+         * @throws {Error} If the argument's type is not one of the Command.ArgTypes
+         */
+        coerceArg: function(arg, value) {
+            var typeName = arg.type || 'string',
+                type = getArgType(arg, this),
+                message = arg.message || type.message,
+                validation;
+
+            if (value === null || value === undefined || $.trim('' + value) === '') {
+                if (arg.required) {
+                    return {error: 'Please enter a value.'};
+                }
+                return {value: typeName === 'string' ? (value || '') : null};
+            }
+
+            if (typeof value === 'string') {
+                value = type.coerce(value, arg);
+                if (value === undefined) {
+                    return {error: $.isFunction(message) ? message(arg) : message};
+                }
+            }
+
+            if (arg.validate) {
+                validation = arg.validate(value, arg);
+                if (validation === false || typeof validation === 'string') {
+                    return {error: typeof validation === 'string' ? validation : arg.message || 'Please enter a valid value.'};
+                }
+            }
+            return {value: value};
+        },
+
+        /**
+         * Returns the command source that supplies suggested values for one of this command's arguments,
+         * creating it from the argument's 'source' config the first time.
+         * @param {Object} arg The argument, as returned by the getArgs method
+         * @return {Object} The command source, or null if the argument has no source of suggestions.
+         */
+        getArgSource: function(arg) {
+            var me = this,
+                sources = me._argSources || (me._argSources = {}),
+                cfg = arg.source;
+            if (!cfg && arg.type === 'enum') {
+                cfg = arg.options;
+            }
+            if (!cfg) {
+                return null;
+            }
+            if (!sources[arg.name]) {
+                sources[arg.name] = createSource(cfg, me.matcher);
+            }
+            return sources[arg.name];
+        },
+
+        /**
+         * Returns the command source that supplies this command's children, creating it from the 'children'
+         * config the first time.
+         * @return {Object} The command source, or null if the command has no children.
+         */
+        getChildSource: function() {
+            var me = this;
+            if (!me.children) {
+                return null;
+            }
+            return me._childSource || (me._childSource = createSource(me.children, me.matcher));
+        },
+
+        /**
+         * Returns the HTML used to identify this command in the QuickBar's label: its icon and name.
+         * @return {String}
+         */
+        getLabelHtml: function() {
+            return this.getIconHtml() + escapeHtml(this.name);
+        },
+
+        /**
+         * Returns the HTML of the command's icon image. The icon's URL may come from the page's markup, so it
+         * is escaped like any other text.
+         * @return {String} The HTML, or an empty string if the command has no icon.
+         */
+        getIconHtml: function() {
+            return this.icon ? '<img class="icon" src="' + escapeHtml(this.icon) + '" alt="" />' : '';
+        },
+
+        /**
+         * Returns the Keystroke for this command's 'hotkey' config, creating it the first time.
+         * @return {Keystroke} The keystroke, or null if the command has no hotkey.
+         */
+        getHotkey: function() {
+            var me = this;
+            return me.hotkey ? me._hotkey || (me._hotkey = new Keystroke(me.hotkey, {global: true})) : null;
+        },
+
+        /**
+         * Creates a variant of this command, which inherits all of its configuration except that given.
+         * @param {Object} cfg The configuration to override
+         * @return {Command}
+         */
+        derive: function(cfg) {
+            function Variant() {}
+            Variant.prototype = this;
+            return $.extend(new Variant(), {_matchCache: {}, _childSource: null}, cfg);
+        },
+
+        /**
+         * Returns variants of this command for each of its actions: its own, named by its 'actionName' (or
+         * else the given default name), followed by its alternate 'actions'. Each variant is given the
+         * 'enterKeystroke' which chooses it from the results: its configured 'keystroke', or else Shift,
+         * Alt and Alt+Shift with Enter in turn, leaving Ctrl/Cmd+Enter for opening URLs in a new tab.
+         * @param {String} defaultName
+         * @return {Array} The variant Command objects, or an empty array if there are no alternate actions.
+         */
+        getActionCommands: function(defaultName) {
+            var me = this,
+                keys = ['shift+enter', 'alt+enter', 'alt+shift+enter'];
+            if (!me.actions) {
+                return [];
+            }
+            return me._actionCommands || (me._actionCommands = $.map(
+                [{name: me.actionName || defaultName, action: me.action}].concat(me.actions),
+                function(cfg, i) {
+                    var keystroke = i ? cfg.keystroke || keys[i - 1] : null;
+                    return me.derive($.extend({
+                        id: me.getId() + '#' + cfg.name,
+                        track: false,
+                        actions: null,
+                        children: null,
+                        hotkey: null,
+                        enterKeystroke: keystroke ? new Keystroke(keystroke) : null
+                    }, cfg));
+                }
+            ));
+        },
+
+        /**
+         * Returns the alternate action chosen by the given Enter key event, if any (see getActionCommands.)
+         * @param {jQuery.Event} e The keydown event of the Enter key
+         * @param {String} defaultName The name for the command's own action
+         * @return {Command} The variant of this command for the alternate action, or null.
+         */
+        getAlternateAction: function(e, defaultName) {
+            var found = null;
+            $.each(this.getActionCommands(defaultName), function(i, command) {
+                if (command.enterKeystroke && command.enterKeystroke.matches(e)) {
+                    found = command;
+                    return false;
+                }
+            });
+            return found;
+        },
+
+        /**
+         * Returns a menu command listing this command's actions as its children (see getActionCommands.)
+         * @param {String} defaultName The name for the command's own action
+         * @return {Command}
+         */
+        getActionMenu: function(defaultName) {
+            var me = this;
+            return me._actionMenu || (me._actionMenu = me.derive({
+                children: function(chars) {
+                    return $.grep(me.getActionCommands(defaultName), function(command) {
+                        return !chars || command.isMatch(chars);
+                    });
+                }
+            }));
+        },
+
+        /**
+         * Returns the message asking the user to confirm this command's execution, according to its
+         * 'confirm' config.
+         * @param {Mixed} arg The arg the command will be executed with.
+         * @param {String} defaultMessage The message used when 'confirm' is true; its {name} token is
+         *        replaced with the command's name.
+         * @return {String} The message, or null if the command does not need confirmation.
+         */
+        getConfirmMessage: function(arg, defaultMessage) {
+            var confirm = this.confirm;
+            if ($.isFunction(confirm)) {
+                confirm = confirm.call(this, arg);
+            }
+            if (!confirm) {
+                return null;
+            }
+            return typeof confirm === 'string' ? confirm : Command.applyTemplate(defaultMessage, {name: this.name});
+        },
+
+        /**
+         * Determines whether this command, as a verb, can be applied to the given subject, according to the
+         * verb's 'accepts' config and the subject's 'subjectType'.
+         * @param {Command} subject
+         * @return {Boolean}
+         */
+        acceptsSubject: function(subject) {
+            var accepts = [].concat(this.accepts || []),
+                types = [].concat(subject.subjectType || []);
+            return $.inArray('*', accepts) >= 0 || $.grep(types, function(type) {
+                return $.inArray(type, accepts) >= 0;
+            }).length > 0;
+        },
+
+        /**
+         * Returns the value this command supplies when it is chosen as a suggested argument value or as a
+         * subject: its configured 'value', or else its name.
+         * @return {Mixed}
+         */
+        getValue: function() {
+            return this.value !== undefined ? this.value : this.name;
+        },
+
+        /**
+         * Executes this command's configured action.
+         * @param {String|Object} arg An optional argument to the action. For commands with multiple 'args',
+         *        an object of argument values keyed by name.
+         * @param {Object} options Optional details of how the command is executed, which are passed on to
+         *        the action: the QuickBar's 'context' and whether to open URLs in a 'newTab'.
+         * @return {Mixed} The value returned by the action, if any.
+         */
+        exec: function(arg, options) {
+            var actionCfg = this.action;
+            // Special case standalone function action to 'fn' type
+            if ($.isFunction(actionCfg)) {
+                actionCfg = {
+                    type: 'fn',
+                    fn: actionCfg
+                };
+            }
+            return Command.Actions[actionCfg.type](actionCfg, arg, options || {});
+        }
+    });
+
+
+    /**
+     * The relevance scores given to each kind of match by Command.test. Sources that rank their own results,
+     * e.g. on the server, can give their commands a 'score' on the same scale so they sort alongside others.
+     */
+    Command.Scores = {
+        exact: 100,
+        prefix: 80,
+        word: 60,
+        alias: 40,
+        regexp: 20,
+        min: 1
+    };
+
+
+    /**
+     * The supported strategies for matching commands against the user's entered characters. Each is called
+     * with the Command as its scope and the entered characters as its argument, and must return either
+     * null for no match, or an object with a 'score' (see Command.Scores) and the 'indices' of the matched
+     * characters within the command's name. New strategies can be registered by adding them to this mapping,
+     * and selected with the 'matcher' property of a QuickBar, command source, or command.
+     */
+    Command.Matchers = {
+        /**
+         * Matches the input as a beginning substring or as camel-cased word beginnings, e.g. 'gTU' matches
+         * 'Go To URL', against the name and then the aliases, then tests the custom regexp.
+         */
+        standard: function(chars) {
+            var me = this,
+                scores = Command.Scores,
+                name = me.name || '',
+                lowerName = name.toLowerCase(),
+                lowerChars = chars.toLowerCase(),
+                aliases = me.aliases || [],
+                re = me.getRE(chars),
+                match = re.exec(name),
+                indices, pos, i, j, len;
+
+            // Test name
+            if (lowerName === lowerChars) {
+                return {score: scores.exact, indices: sequence(name.length)};
+            }
+            if (lowerName.indexOf(lowerChars) === 0) {
+                return {score: scores.prefix, indices: sequence(chars.length)};
+            }
+            if (match) {
+                indices = [];
+                pos = match.index;
+                for (i = 1, len = match.length; i < len; i += 2) {
+                    for (j = 0; j < match[i].length; j++) {
+                        indices.push(pos + j);
                     }
-                })
-                .focus();
+                    pos += match[i].length + match[i + 1].length;
+                }
+                return {score: scores.word, indices: indices};
+            }
+
+            // Test aliases
+            for (i = 0, len = aliases.length; i < len; i++) {
+                if (re.test(aliases[i])) {
+                    return {score: scores.alias, indices: []};
+                }
+            }
+
+            // Test custom regular expression
+            re = me.regexp;
+            if (re && re.test(chars)) {
+                return {score: scores.regexp, indices: []};
+            }
+
+            return null;
+        },
+
+        /**
+         * Matches the input as a subsequence of the name or aliases, so e.g. 'gtu' and 'gourl' both match
+         * 'Go To URL'. Subsequence matches are ranked by how many of the matched characters fall at word
+         * beginnings or in contiguous runs, between a prefix match and an alias match (or between an alias
+         * match and a regexp match, for aliases.)
+         */
+        fuzzy: function(chars) {
+            var me = this,
+                scores = Command.Scores,
+                name = me.name || '',
+                lowerName = name.toLowerCase(),
+                lowerChars = chars.toLowerCase(),
+                aliases = me.aliases || [],
+                match, re, i, len;
+
+            // Test name
+            if (lowerName === lowerChars) {
+                return {score: scores.exact, indices: sequence(name.length)};
+            }
+            if (lowerName.indexOf(lowerChars) === 0) {
+                return {score: scores.prefix, indices: sequence(chars.length)};
+            }
+            match = fuzzyMatch(chars, name);
+            if (match) {
+                return {score: scores.alias + match.quality * (scores.prefix - scores.alias - 1), indices: match.indices};
+            }
+
+            // Test aliases
+            for (i = 0, len = aliases.length; i < len; i++) {
+                match = fuzzyMatch(chars, aliases[i]);
+                if (match) {
+                    return {score: scores.regexp + match.quality * (scores.alias - scores.regexp - 1), indices: []};
+                }
+            }
+
+            // Test custom regular expression
+            re = me.regexp;
+            if (re && re.test(chars)) {
+                return {score: scores.regexp, indices: []};
+            }
+
+            return null;
+        }
+    };
+
+
+    /**
+     * @class Keystroke
+     * Matches key events against a keystroke definition. A definition is a string naming a key and any
+     * modifier keys joined by '+', e.g. 'ctrl+shift+space' or 'alt+n'; the 'mod' modifier stands for Cmd on
+     * macOS and Ctrl elsewhere. Several of these separated by spaces define a sequence of keystrokes which
+     * must be pressed one after the other, e.g. 'g c'. An array of definitions allows any one of them. For
+     * compatibility, a definition may also be an object with a 'which' key code and an array of required
+     * 'modifiers', e.g. {which: 32, modifiers: ['shift', 'ctrl']}.
+     *
+     * Keys are matched on the character they produce (KeyboardEvent.key) so that letters work on any
+     * keyboard layout, falling back to the physical key (KeyboardEvent.code) when a modifier makes the key
+     * produce some other character, and to the key code in browsers which support neither.
+     * @constructor
+     * @param {String|Object|Array} def The keystroke definition
+     * @param {Object} cfg Optional configuration; members are copied onto the instance.
+     */
+    function Keystroke(def, cfg) {
+        var me = this;
+        $.extend(me, cfg);
+        me.alternatives = $.map($.isArray(def) ? def : def ? [def] : [], function(alt) {
+            return [typeof alt === 'string' ? $.map($.trim(alt).split(/\s+/), parseKeystep) : [parseLegacyKeystep(alt)]];
+        });
+        me._progress = [];
+    }
+    $.extend(Keystroke.prototype, {
+        /**
+         * The maximum time in milliseconds between the keystrokes of a sequence.
+         */
+        sequenceTimeout: 1500,
+
+        /**
+         * If true, keystrokes without a Ctrl, Alt or Meta modifier are ignored while the user is typing in
+         * a text field, so that e.g. a 'g c' sequence does not fire when typing "g" and "c" into a form.
+         */
+        global: false,
+
+        /**
+         * Determines whether the given key event completes this keystroke. Each event of a sequence must be
+         * passed in turn; the events of unfinished sequences are remembered.
+         * @param {jQuery.Event} e A keydown event
+         * @return {Boolean}
+         */
+        matches: function(e) {
+            var me = this,
+                now = new Date().getTime(),
+                editing = me.global && isEditable(e.target),
+                matched = false;
+            if (isModifierKey(e)) {
+                return false;
+            }
+            if (now - me._lastTime > me.sequenceTimeout) {
+                me._progress = [];
+            }
+            me._lastTime = now;
+            $.each(me.alternatives, function(i, steps) {
+                var pos = me._progress[i] || 0;
+                if (editing && !(steps[0].ctrl || steps[0].alt || steps[0].meta)) {
+                    return;
+                }
+                pos = matchesKeystep(e, steps[pos]) ? pos + 1 : matchesKeystep(e, steps[0]) ? 1 : 0;
+                if (pos === steps.length) {
+                    matched = true;
+                    pos = 0;
+                }
+                me._progress[i] = pos;
+            });
+            if (matched) {
+                me._progress = [];
+            }
+            return matched;
+        },
+
+        /**
+         * Returns a readable description of the keystroke for display, e.g. 'Ctrl+Shift+K'. Alternatives are
+         * separated by ' or '.
+         * @return {String}
+         */
+        getLabel: function() {
+            return $.map(this.alternatives, function(steps) {
+                return $.map(steps, function(step) {
+                    var parts = $.map(['ctrl', 'alt', 'shift', 'meta'], function(mod) {
+                            return step[mod] ? Keystroke.ModifierLabels[mod] : null;
+                        }),
+                        key = step.key;
+                    parts.push(step.loose ? String.fromCharCode(step.which) :
+                               key === ' ' ? 'Space' :
+                               key.length > 1 ? key.charAt(0).toUpperCase() + key.substring(1) :
+                               key.toUpperCase());
+                    return parts.join('+');
+                }).join(' ');
+            }).join(' or ');
+        },
+
+        /**
+         * Returns a string identifying each alternative of the keystroke, which can be compared to find
+         * keystrokes that conflict.
+         * @return {Array}
+         */
+        getSignatures: function() {
+            return $.map(this.alternatives, function(steps) {
+                return $.map(steps, function(step) {
+                    return $.map(['ctrl', 'alt', 'shift', 'meta'], function(mod) {
+                        return step[mod] ? mod + '+' : null;
+                    }).join('') + (step.which || step.key);
+                }).join(' ');
+            });
+        }
+    });
+
+    /**
+     * The modifier that 'mod' stands for in keystroke definitions: Cmd on macOS and iOS, Ctrl elsewhere.
+     */
+    Keystroke.modKey = /Mac|iPhone|iPod|iPad/.test(navigator.platform) ? 'meta' : 'ctrl';
+
+    /**
+     * The names of the modifier keys used in keystroke labels.
+     */
+    Keystroke.ModifierLabels = {
+        ctrl: 'Ctrl',
+        alt: Keystroke.modKey === 'meta' ? 'Option' : 'Alt',
+        shift: 'Shift',
+        meta: Keystroke.modKey === 'meta' ? 'Cmd' : 'Meta'
+    };
+
+    /**
+     * Named keys that can be used in keystroke definitions, with their KeyboardEvent 'key' and 'code' values
+     * and key code.
+     */
+    Keystroke.Keys = {
+        space: {key: ' ', code: 'Space', which: 32},
+        enter: {key: 'enter', code: 'Enter', which: 13},
+        tab: {key: 'tab', code: 'Tab', which: 9},
+        esc: {key: 'escape', code: 'Escape', which: 27},
+        escape: {key: 'escape', code: 'Escape', which: 27},
+        backspace: {key: 'backspace', code: 'Backspace', which: 8},
+        'delete': {key: 'delete', code: 'Delete', which: 46},
+        insert: {key: 'insert', code: 'Insert', which: 45},
+        home: {key: 'home', code: 'Home', which: 36},
+        end: {key: 'end', code: 'End', which: 35},
+        pageup: {key: 'pageup', code: 'PageUp', which: 33},
+        pagedown: {key: 'pagedown', code: 'PageDown', which: 34},
+        up: {key: 'arrowup', code: 'ArrowUp', which: 38},
+        down: {key: 'arrowdown', code: 'ArrowDown', which: 40},
+        left: {key: 'arrowleft', code: 'ArrowLeft', which: 37},
+        right: {key: 'arrowright', code: 'ArrowRight', which: 39},
+        plus: {key: '+', which: 187, anyShift: true},
+        f1: {key: 'f1', code: 'F1', which: 112},
+        f2: {key: 'f2', code: 'F2', which: 113},
+        f3: {key: 'f3', code: 'F3', which: 114},
+        f4: {key: 'f4', code: 'F4', which: 115},
+        f5: {key: 'f5', code: 'F5', which: 116},
+        f6: {key: 'f6', code: 'F6', which: 117},
+        f7: {key: 'f7', code: 'F7', which: 118},
+        f8: {key: 'f8', code: 'F8', which: 119},
+        f9: {key: 'f9', code: 'F9', which: 120},
+        f10: {key: 'f10', code: 'F10', which: 121},
+        f11: {key: 'f11', code: 'F11', which: 122},
+        f12: {key: 'f12', code: 'F12', which: 123}
+    };
+
+    /**
+     * Alternative names accepted for the modifier keys in keystroke definitions.
+     */
+    var MODIFIER_NAMES = {
+        ctrl: 'ctrl', control: 'ctrl',
+        shift: 'shift',
+        alt: 'alt', option: 'alt', opt: 'alt',
+        meta: 'meta', cmd: 'meta', command: 'meta'
+    };
+
+    /**
+     * Parses one step of a keystroke definition string, e.g. 'ctrl+shift+space'.
+     * @param {String} str
+     * @return {Object} The step, with the 'key', 'code' and 'which' of the key and a Boolean for each
+     *         modifier.
+     */
+    function parseKeystep(str) {
+        var parts = str.toLowerCase().split('+'),
+            name = parts.pop(),
+            named = Keystroke.Keys[name],
+            step = {ctrl: false, shift: false, alt: false, meta: false};
+        $.each(parts, function(i, mod) {
+            mod = mod === 'mod' ? Keystroke.modKey : MODIFIER_NAMES[mod];
+            if (!mod) {
+                throw new Error('Unknown modifier in keystroke "' + str + '"');
+            }
+            step[mod] = true;
+        });
+        if (named) {
+            $.extend(step, named);
+        }
+        else if (name.length === 1) {
+            step.key = name;
+            if (/[a-z]/.test(name)) {
+                step.code = 'Key' + name.toUpperCase();
+                step.which = name.toUpperCase().charCodeAt(0);
+            }
+            else if (/[0-9]/.test(name)) {
+                step.code = 'Digit' + name;
+                step.which = name.charCodeAt(0);
+            }
+            else {
+                // Punctuation may need Shift depending on the keyboard layout, so Shift is not checked
+                step.anyShift = true;
+            }
+        }
+        else {
+            throw new Error('Unknown key in keystroke "' + str + '"');
+        }
+        return step;
+    }
+
+    /**
+     * Converts a keystroke definition object with a 'which' key code and an array of required 'modifiers'
+     * to a step. Unlike steps parsed from strings, other modifiers may also be pressed.
+     * @param {Object} def
+     * @return {Object}
+     */
+    function parseLegacyKeystep(def) {
+        var step = {which: def.which, loose: true};
+        $.each(def.modifiers || [], function(i, mod) {
+            step[mod] = true;
+        });
+        return step;
+    }
+
+    /**
+     * Determines whether a key event matches one step of a keystroke.
+     * @param {jQuery.Event} e
+     * @param {Object} step
+     * @return {Boolean}
+     */
+    function matchesKeystep(e, step) {
+        var orig = e.originalEvent || {},
+            key = e.key || orig.key,
+            code = e.code || orig.code,
+            modsOk = true;
+        $.each(['ctrl', 'shift', 'alt', 'meta'], function(i, mod) {
+            var pressed = !!e[mod + 'Key'];
+            if (step.loose ? step[mod] && !pressed : pressed !== step[mod] && !(mod === 'shift' && step.anyShift)) {
+                modsOk = false;
+            }
+        });
+        if (!modsOk) {
+            return false;
+        }
+        if (key && !step.loose) {
+            key = key.toLowerCase();
+            // Modifiers such as Alt on macOS change the produced character, so fall back to the physical key
+            return key === step.key || (!/^[a-z0-9 ]$/.test(key) && !!code && code === step.code);
+        }
+        return e.which === step.which;
+    }
+
+    /**
+     * Determines whether a key event is for a modifier key pressed on its own.
+     * @param {jQuery.Event} e
+     * @return {Boolean}
+     */
+    function isModifierKey(e) {
+        var key = e.key || (e.originalEvent || {}).key;
+        return key ? /^(Shift|Control|Alt|Meta|OS|AltGraph)$/.test(key) : $.inArray(e.which, [16, 17, 18, 91, 93, 224]) >= 0;
+    }
+
+    /**
+     * Determines whether the caret is at the end of a text field, or the field does not report its position.
+     * @param {Element} el
+     * @return {Boolean}
+     */
+    function isCaretAtEnd(el) {
+        return typeof el.selectionStart !== 'number' || el.selectionStart === el.value.length;
+    }
+
+    /**
+     * Determines whether an element accepts typed text.
+     * @param {Element} el
+     * @return {Boolean}
+     */
+    function isEditable(el) {
+        return !!el && (/^(input|textarea|select)$/i.test(el.nodeName) || !!el.isContentEditable);
+    }
 
-            me._askingForArg = 1;
-        },
 
-        /**
-         * Takes the UI out of the argument mode (see the askForArg method), returning it to the initial state.
-         */
-        stopAskingForArg: function() {
-            if (this._askingForArg) {
-                var me = this,
-                    box = me.getBox(),
-                    label = box.find('label'),
-                    input = box.find('input');
+    /**
+     * Bonus points used by the fuzzy matcher for each matched character that begins a word, and for each
+     * matched character that directly follows the previous matched character.
+     */
+    var FUZZY_WORD_BONUS = 8,
+        FUZZY_CONTIGUOUS_BONUS = 5;
+
+    /**
+     * Finds the best-scoring way of matching the given characters as a case-insensitive subsequence of the
+     * given string. Whitespace in the characters is ignored.
+     * @param {String} chars The user's entered characters
+     * @param {String} str The string to match against
+     * @return {Object} null if there is no match, otherwise an object with the 'indices' of the matched
+     *         characters in the string and the match 'quality', a number between 0 and 1.
+     */
+    function fuzzyMatch(chars, str) {
+        var query = chars.replace(/\s+/g, '').toLowerCase(),
+            lowerStr = str.toLowerCase(),
+            qLen = query.length,
+            sLen = str.length,
+            bonuses = [],
+            rows = [],
+            row, prevRow, cell, best, runMax, runIdx, charScore, score, indices, i, j;
 
-                label.html(me.mainLabel);
-                input.val('').unbind('.quickBarArg');
+        if (!qLen || qLen > sLen) {
+            return null;
+        }
 
-                me._askingForArg = 0;
+        for (j = 0; j < sLen; j++) {
+            bonuses[j] = (j === 0 || /[^a-z0-9]/i.test(str.charAt(j - 1)) ||
+                          (/[a-z]/.test(str.charAt(j - 1)) && /[A-Z]/.test(str.charAt(j)))) ? FUZZY_WORD_BONUS : 0;
+        }
+
+        // Each cell holds the best score for matching the first i+1 characters with the last one at
+        // position j, plus the position of the previous matched character for backtracking.
+        for (i = 0; i < qLen; i++) {
+            row = rows[i] = [];
+            prevRow = rows[i - 1];
+            runMax = -1;
+            runIdx = -1;
+            for (j = 0; j < sLen; j++) {
+                if (prevRow && j >= 2 && prevRow[j - 2] && prevRow[j - 2].score > runMax) {
+                    runMax = prevRow[j - 2].score;
+                    runIdx = j - 2;
+                }
+                if (lowerStr.charAt(j) === query.charAt(i)) {
+                    charScore = 1 + bonuses[j];
+                    if (!prevRow) {
+                        row[j] = {score: charScore, from: -1};
+                    } else {
+                        best = runMax >= 0 ? {score: runMax + charScore, from: runIdx} : null;
+                        cell = j >= 1 ? prevRow[j - 1] : null;
+                        if (cell && (!best || cell.score + charScore + FUZZY_CONTIGUOUS_BONUS > best.score)) {
+                            best = {score: cell.score + charScore + FUZZY_CONTIGUOUS_BONUS, from: j - 1};
+                        }
+                        if (best) {
+                            row[j] = best;
+                        }
+                    }
+                }
             }
-        },
+        }
 
-        /**
-         * Returns the main outer element for the QuickBar UI, creating it first if necessary.
-         * @return {jQuery} The jQuery instance for the main QuickBar element
-         */
-        getBox: function() {
-            var me = this,
-                box = me._box;
-            if (!box) {
-                box = me._box = $(me.boxMarkup.replace(/{inputId}/g, 'qbInp' + id++).replace(/{label}/g, me.mainLabel))
-                                .hide().appendTo(me.parent);
-                box.find('input').bind({
-                    keyup: proxy(me.onInputKey, me),
-                    blur: proxy(me.hide, me),
-                    select: proxy(me.itemSelected, me)
-                });
+        best = null;
+        for (j = 0; j < sLen; j++) {
+            if (row[j] && (!best || row[j].score > rows[qLen - 1][best].score)) {
+                best = j;
             }
-            return box;
         }
-    });
+        if (best === null) {
+            return null;
+        }
 
+        indices = [];
+        score = rows[qLen - 1][best].score;
+        for (i = qLen - 1, j = best; i >= 0; i--) {
+            indices.unshift(j);
+            j = rows[i][j].from;
+        }
+        return {
+            indices: indices,
+            quality: score / (qLen * (1 + FUZZY_WORD_BONUS) + (qLen - 1) * FUZZY_CONTIGUOUS_BONUS)
+        };
+    }
 
     /**
-     * A command source implementation whose commands are specified locally in the page's JavaScript.
-     * @constructor
-     * @param {Object} cfg The configuration for the command source. Recognized properties:
-     *     commands - {Array} An array of Command configuration objects
+     * Returns an array of the integers from 0 up to (but not including) the given length.
      */
-    function LocalCommandSource(cfg) {
-        $.extend(this, cfg, {commands: []});
-        this.addCommands(cfg.commands);
+    function sequence(len) {
+        var arr = [], i;
+        for (i = 0; i < len; i++) {
+            arr.push(i);
+        }
+        return arr;
     }
-    $.extend(LocalCommandSource.prototype, {
-        search: function(chars, callback) {
-            var me = this,
-                matches;
-
-            matches = $.map(me.commands, function(command) {
-                return command.isMatch(chars) ? command : null;
-            });
-            if (matches.length) {
-                callback(matches);
-            }
-        },
-
-        addCommand: function(commandCfg) {
-            this.commands.push(new Command(commandCfg));
-        },
 
-        addCommands: function(commands) {
-            if ($.isArray(commands)) {
-                var me = this;
-                $.each(commands, function(i, commandCfg) {
-                    me.addCommand(commandCfg);
-                });
-            }
+    /**
+     * Returns the Command.ArgTypes implementation of an argument's type.
+     * @param {Object} arg The argument, as returned by Command's getArgs method
+     * @param {Command} command The command the argument belongs to
+     * @return {Object}
+     * @throws {Error} If the type is not registered
+     */
+    function getArgType(arg, command) {
+        var typeName = arg.type || 'string',
+            type = Command.ArgTypes[typeName];
+        if (!type) {
+            throw new Error('Unknown type "' + typeName + '" of argument "' + arg.name + '" of command "' +
+                            command.name + '"');
         }
-    });
+        return type;
+    }
 
+    /**
+     * Escapes the HTML special characters in a string.
+     */
+    function escapeHtml(str) {
+        return ('' + str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
 
     /**
-     * TODO this is incomplete and untested
-     * A command source implementation that performs its search by making an ajax request to a given URL.
-     * @constructor
-     * @param {Object} cfg The configuration for the command source. This will be passed as the settings
-     *        argument to the jQuery.ajax() call, and can therefore include all of that object's recognized
-     *        properties. In addition, it can contain a 'paramName' property, which specifies the name of the
-     *        submitted URL parameter that will contain the search value (defaults to 's'.)
+     * Determines whether an object has a property of its own by the given name, so that keys such as
+     * command ids and queries are not confused with the properties objects inherit, e.g. 'toString'.
      */
-    function AjaxCommandSource(cfg) {
-        $.extend(this, cfg);
+    function hasOwn(obj, key) {
+        return Object.prototype.hasOwnProperty.call(obj, key);
     }
-    $.extend(AjaxCommandSource.prototype, {
-        search: function(chars, callback) {
-            var me = this,
-                ajaxParam = me.paramName || 's',
-                ajaxData = me.data || {};
 
-            if ($.isString(ajaxData)) {
-                ajaxData += '&' + ajaxParam + '=' + chars;
-            } else {
-                ajaxData[ajaxParam] = chars;
+
+    /**
+     * The supported argument types. Each has a 'coerce' function, which is passed the entered string and
+     * the argument config, and returns the value converted to the type, or undefined if it is not valid;
+     * and a 'message' displayed when the value is not valid, which may be a function of the argument config.
+     * New types can be registered by adding them to this mapping.
+     */
+    Command.ArgTypes = {
+        string: {
+            coerce: function(value) {
+                return value;
             }
-            me._xhr = $.ajax($.extend({}, me, {
-                data: ajaxData,
-                success: function(data, status, xhr) {
-                    if (xhr === me._xhr) { //only use result if it's the most recent XHR
-                        callback(me.processXhrData(data));
+        },
+        number: {
+            message: 'Please enter a number.',
+            coerce: function(value) {
+                value = $.trim(value);
+                return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value) ? parseFloat(value) : undefined;
+            }
+        },
+        integer: {
+            message: 'Please enter a whole number.',
+            coerce: function(value) {
+                value = $.trim(value);
+                return /^[-+]?\d+$/.test(value) ? parseInt(value, 10) : undefined;
+            }
+        },
+        url: {
+            message: 'Please enter a valid URL, e.g. http://example.com/',
+            coerce: function(value) {
+                value = $.trim(value);
+                return /^[a-z][a-z0-9+.\-]*:\/\/[^\s\/?#]+\S*$/i.test(value) ? value : undefined;
+            }
+        },
+        email: {
+            message: 'Please enter a valid email address.',
+            coerce: function(value) {
+                value = $.trim(value);
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : undefined;
+            }
+        },
+        'enum': {
+            message: function(arg) {
+                return 'Please enter one of: ' + arg.options.join(', ');
+            },
+            coerce: function(value, arg) {
+                var lower = $.trim(value).toLowerCase(),
+                    found;
+                $.each(arg.options, function(i, option) {
+                    if (('' + option).toLowerCase() === lower) {
+                        found = option;
+                        return false;
                     }
-                }
-            }));
+                });
+                return found;
+            }
         },
-
-        processXhrData: function(data) {
-            return data.commands;
+        date: {
+            message: 'Please enter a valid date, e.g. 2011-01-31.',
+            coerce: function(value) {
+                var parts = $.trim(value).match(/^(\d{4})-(\d\d?)-(\d\d?)$/),
+                    date = parts ? new Date(+parts[1], parts[2] - 1, +parts[3]) : new Date(value);
+                return isNaN(date.getTime()) || (parts && date.getDate() !== +parts[3]) ? undefined : date;
+            }
+        },
+        'boolean': {
+            message: 'Please enter yes or no.',
+            coerce: function(value) {
+                value = $.trim(value).toLowerCase();
+                return /^(y|yes|true|on|1)$/.test(value) ? true : /^(n|no|false|off|0)$/.test(value) ? false : undefined;
+            }
         }
-    });
-
-
-    /**
-     * Mapping of command source 'type' names to their corresponding implementations. New implementation
-     * types can be registered by adding them to this mapping. Command source implementations are classes
-     * with only one required method: a 'search' method with the following two arguments:
-     *     chars - {String} The characters entered by the user which are being used as the search term
-     *     callback - {Function} A function that will be called when the search is completed. It will be
-     *         passed a single argument, an array of Command objects. If the search resulted in no matches,
-     *         the array will be non-null but empty.
-     */
-    var CommandSources = {
-        local: LocalCommandSource,
-        ajax: AjaxCommandSource
     };
 
 
-
     /**
-     * @class Command
-     * Models a single command that can be searched for and selected in the QuickBar.
-     * @constructor
-     * @param {Object} cfg The configuration for this command. The properties of this object will be copied
-     * directly onto the instance, overriding any existing properties of the same name (including methods,
-     * allowing the implementation to be customized per instance.) The more useful properties are:
-     *     name - {String} The name of the command. This is what gets displayed in the selection list, and
-     *         is used in pattern matching against the user's entered characters.
-     *
-     *     aliases - {Array} An optional set of additional names which will not be displayed, but will be
-     *         used in addition to the name in pattern matching.
-     *
-     *     regexp - {RegExp} An optional regular expression which will be applied against the user's entered
-     *         search characters to determine if this command is a match.
-     *
-     *     icon - {String} An optional icon image to be displayed alongside the command's name.
-     *
-     *     arg - {Boolean|String} Whether or not the command requires the user to enter an additional argument
-     *         for its execution, e.g. the search term for a web search. If a String is supplied, then that
-     *         will be used as an informative label for the argument's input field.
-     *
-     *     action - {Object|Function} Defines the action to be performed when the command is executed. By
-     *         default this supports two action types: a JavaScript function to be called, or a redirect URL.
+     * The supported command action types. Each action type implementation is passed its configuration
+     * object when executed, plus the user's supplied argument if the command requires it, and the options
+     * given to Command.exec; it may return a result.
      *
-     *         // Function action - the function will be passed the user-entered arg if it exists.
-     *         action: { type: 'fn', fn: function(arg) { ... } }
+     * The 'url' action type fills in the tokens of its 'url' template (see Command.applyUrlTemplate) with
+     * the argument(s), the 'selection' from the QuickBar's context and the 'location' of the page. The page
+     * goes to the URL, or it is opened in the window named by the 'target' config, e.g. '_blank' for a new
+     * tab; Ctrl/Cmd+Enter also opens it in a new tab. URLs whose scheme is not in Command.urlSchemes, such
+     * as javascript: URLs, are refused with an error.
      *
-     *         // The above may also be shortened to just a single function object:
-     *         action: function(arg) { ... }
+     * The DOM action types act on the elements matching their 'selector' config, throwing an error if there
+     * are none. They also accept a 'fill' config, which puts the user's argument into a field before acting,
+     * e.g. to submit a search form; for commands with multiple 'args' it maps each argument name to its field:
      *
-     *         // URL action - the {arg} token in the URL will be replaced with the user-entered arg if it exists.
-     *         action: { type: 'url', url: 'http://the.url.to/go/to/with/{arg}' }
+     *     action: { type: 'submit', selector: '#search', fill: '#search input[name=q]' }
      */
-    function Command(cfg) {
-        $.extend(this, cfg);
-        this._matchCache = {};
-    }
-    Command._reCache = {};
-    $.extend(Command.prototype, {
-        /**
-         * Determine whether this command is a match for the given input string. Caches the result.
-         * @param {String} chars The string to match against.
-         */
-        isMatch: function(chars) {
-            var me = this,
-                cache = me._matchCache;
-            if (!(chars in cache)) {
-                cache[chars] = this.test(chars);
+    Command.Actions = {
+        fn: function(cfg, arg) {
+            return cfg.fn(arg);
+        },
+        url: function(cfg, arg, options) {
+            var context = options.context,
+                url = Command.applyUrlTemplate(cfg.url, $.extend({
+                    selection: context && context.selection || '',
+                    location: location
+                }, $.isPlainObject(arg) ? arg : {arg: arg})),
+                target = options.newTab ? '_blank' : cfg.target;
+            if (!Command.isSafeUrl(url)) {
+                throw new Error(Command.applyTemplate(Command.unsafeUrlMessage, {url: url}));
+            }
+            if (target && target !== '_self') {
+                window.open(url, target);
+            } else {
+                location.href = url;
             }
-            return cache[chars];
         },
 
-        /**
-         * Determine whether this command is a match for the given input string. The default implementation
-         * performs the following checks:
-         *     1) Tests the command's name and any aliases against the input string, allowing for matching by
-         *        direct substring or by camel-cased word beginnings, e.g. 'gTU' will match 'Go To URL'.
-         *     2) If a regexp was configured, then it is tested against the input string.
-         * @param {String} chars The string to match against.
-         */
-        test: function(chars) {
-            var me = this,
-                re = me.getRE(chars),
-                names = (me.aliases || []).concat(me.name),
-                i, len;
-
-            // Test names and aliases
-            for(i = 0, len = names.length; i < len; i++) {
-                if (re.test(names[i])) {
-                    return true;
-                }
+        // Clicks the first matching element, following it if it is a link
+        click: function(cfg, arg) {
+            var el = findTarget(cfg, arg)[0];
+            if (el.click) {
+                el.click();
+            } else {
+                $(el).click();
             }
+        },
 
-            // Test custom regular expression
-            re = me.regexp;
-            if (re && re.test(chars)) {
-                return true;
-            }
+        // Focuses the first matching element
+        focus: function(cfg, arg) {
+            findTarget(cfg, arg).eq(0).focus();
+        },
 
-            return false;
+        // Scrolls the page to the first matching element, less an optional 'offset' for e.g. fixed headers
+        scrollTo: function(cfg, arg) {
+            var top = findTarget(cfg, arg).eq(0).offset().top - (cfg.offset || 0);
+            $('html, body').animate({scrollTop: Math.max(top, 0)}, cfg.duration || 0);
         },
 
-        /**
-         * Generate a regular expression from the user's input characters, for use in matching against
-         * the configured name and aliases. Handles matching camel-cased input against word beginnings.
-         * @param chars
-         */
-        getRE: function(chars) {
-            var cache = Command._reCache,
-                re = cache[chars],
-                frag;
-            if (!re) {
-                re = ['\\b'];
-                while (frag = chars.match(/^[A-Za-z][^A-Z\s]*/)) {
-                    frag = frag[0];
-                    re.push(frag + '[a-z]*\\s*');
-                    chars = chars.substring(frag.length).replace(/^\s+/, '');
-                }
-                re = new RegExp(re.join(''), 'i');
+        // Submits the first matching form, or the form containing the first matching element
+        submit: function(cfg, arg) {
+            var target = findTarget(cfg, arg).eq(0),
+                form = target.is('form') ? target : target.closest('form');
+            if (!form.length) {
+                throw new Error(Command.applyTemplate(Command.noFormMessage, {selector: cfg.selector}));
             }
-            return re;
+            form.submit();
         },
 
-        /**
-         * Executes this command's configured action.
-         * @param {String} arg An optional argument to the action.
-         */
-        exec: function(arg) {
-            var actionCfg = this.action;
-            // Special case standalone function action to 'fn' type
-            if ($.isFunction(actionCfg)) {
-                actionCfg = {
-                    type: 'fn',
-                    fn: actionCfg
-                };
+        // Triggers the custom 'event' on the matching elements; handlers are passed the argument and the
+        // configured 'data'
+        trigger: function(cfg, arg) {
+            findTarget(cfg, arg).trigger(cfg.event, [arg, cfg.data]);
+        },
+
+        // Jumps to the first matching element within the page: scrolls to it, focuses it (making it focusable
+        // if it is not), and updates the page's location hash to its id if it has one
+        jump: function(cfg, arg) {
+            var target = findTarget(cfg, arg).eq(0),
+                el = target[0];
+            if (el.id) {
+                location.hash = '#' + el.id;
             }
-            Command.Actions[actionCfg.type](actionCfg, arg);
+            if (el.scrollIntoView) {
+                el.scrollIntoView();
+            }
+            if (target.attr('tabindex') === undefined && !/^(a|button|input|select|textarea)$/i.test(el.nodeName)) {
+                target.attr('tabindex', '-1');
+            }
+            el.focus();
+        },
+
+        // Toggles the 'className' on the matching elements; its {arg} tokens are replaced as for URLs
+        toggleClass: function(cfg, arg) {
+            findTarget(cfg, arg).toggleClass(Command.applyTemplate(cfg.className,
+                    $.isPlainObject(arg) ? arg : {arg: arg}));
         }
-    });
+    };
+
+    /**
+     * The error messages of the DOM action types when the target element, or the form to submit, is
+     * missing. The {selector} token is replaced with the action's selector.
+     */
+    Command.missingTargetMessage = 'Could not find "{selector}" on the page.';
+    Command.noFormMessage = 'There is no form at "{selector}" to submit.';
+
+    /**
+     * Finds the elements a DOM action acts on, after filling the user's argument into the action's 'fill'
+     * field(s), if any.
+     * @param {Object} cfg The action's configuration
+     * @param {String|Object} arg The user's argument, or an object of arguments keyed by name
+     * @return {jQuery} The elements matching the action's 'selector'
+     * @throws {Error} If no elements match, so that the QuickBar displays the error
+     */
+    function findTarget(cfg, arg) {
+        var target = $(cfg.selector),
+            fill = cfg.fill;
+        if (!target.length) {
+            throw new Error(Command.applyTemplate(Command.missingTargetMessage, {selector: cfg.selector}));
+        }
+        if (typeof fill === 'string') {
+            $(fill).val(arg === undefined ? '' : '' + arg);
+        }
+        else if (fill) {
+            $.each(fill, function(name, selector) {
+                $(selector).val(arg && arg[name] !== undefined ? '' + arg[name] : '');
+            });
+        }
+        return target;
+    }
 
 
     /**
-     * The supported command action types. Each action type implementation is passed its configuration
-     * object when executed, plus the user's supplied argument if the command requires it.
+     * Replaces the {name} tokens in a template string with the corresponding values. Tokens with no
+     * corresponding value of the values object's own are left in place.
+     * @param {String} template The template, or null or undefined for an empty string
+     * @param {Object} values
+     * @return {String}
      */
-    Command.Actions = {
-        fn: function(cfg, arg) {
-            cfg.fn(arg);
-        },
-        url: function(cfg, arg) {
-            var url = cfg.url, undef;
-            location.href = (url === undef ? url : url.replace(/\{arg\}/g, arg));
+    Command.applyTemplate = function(template, values) {
+        if (template === null || template === undefined) {
+            return '';
+        }
+        return ('' + template).replace(/\{(\w+)\}/g, function(token, name) {
+            return values && Object.prototype.hasOwnProperty.call(values, name) ? values[name] : token;
+        });
+    };
+
+    /**
+     * Replaces the tokens in a URL template with the corresponding values, which are URL-encoded unless the
+     * token is marked raw, e.g. to insert a whole URL. Tokens can refer to properties of the values with a
+     * dotted path. Tokens with no corresponding value of the values object's own are left in place.
+     *
+     *     Command.applyUrlTemplate('http://{location.host}/search?q={arg}', values)
+     *     Command.applyUrlTemplate('{arg|raw}', values)
+     *
+     * @param {String} template The template, or null or undefined for an empty string
+     * @param {Object} values
+     * @return {String}
+     */
+    Command.applyUrlTemplate = function(template, values) {
+        if (template === null || template === undefined) {
+            return '';
         }
+        return ('' + template).replace(/\{([\w.]+)(\|raw)?\}/g, function(token, path, raw) {
+            var names = path.split('.'),
+                value = values && Object.prototype.hasOwnProperty.call(values, names[0]) ? values : undefined;
+            $.each(names, function(i, name) {
+                value = value !== null && value !== undefined && name in Object(value) ? value[name] : undefined;
+            });
+            if (value === undefined) {
+                return token;
+            }
+            value = value === null ? '' : '' + value;
+            return raw ? value : encodeURIComponent(value);
+        });
+    };
+
+    /**
+     * The URL schemes which the 'url' action type will go to. URLs without a scheme, i.e. relative ones,
+     * are always allowed.
+     */
+    Command.urlSchemes = ['http', 'https', 'mailto', 'ftp'];
+
+    /**
+     * The error message of the 'url' action type when refusing a URL. The {url} token is replaced with it.
+     */
+    Command.unsafeUrlMessage = 'Refusing to open "{url}".';
+
+    /**
+     * Determines whether the given URL has one of the allowed Command.urlSchemes, or is relative.
+     * @param {String} url
+     * @return {Boolean}
+     */
+    Command.isSafeUrl = function(url) {
+        // Browsers ignore whitespace and control characters in a scheme, e.g. 'java\tscript:'
+        var scheme = /^([^\/?#]*?):/.exec(url.replace(/[\u0000-\u0020\u007f]+/g, ''));
+        return !scheme || $.inArray(scheme[1].toLowerCase(), Command.urlSchemes) >= 0;
     };
 
 
@@ -735,6 +4904,8 @@
     // and/or modified by external code.
     $.extend($.quickBar, {
         QuickBar: QuickBar,
+        UsageHistory: UsageHistory,
+        Keystroke: Keystroke,
         CommandSources: CommandSources,
         Command: Command
     });
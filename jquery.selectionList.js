@@ -40,6 +40,9 @@
  *     // Removes all items from the selection list:
  *     $('#myInput').selectionList('clear');
  *
+ *     // Replaces all items in the selection list, keeping the highlighted item highlighted:
+ *     $('#myInput').selectionList('setItems', ['One', 'Two']);
+ *
  *     // Shows the dropdown:
  *     $('#myInput').selectionList('show', callback);
  *
@@ -142,6 +145,26 @@
             this.items = [];
         },
 
+        /**
+         * Replaces all items in the selection list with the given ones. If the currently highlighted item is
+         * also in the new set then it remains highlighted at its new position.
+         * @param {Array} items The new items.
+         */
+        setItems: function(items) {
+            var me = this,
+                idx = me.highlighted,
+                highlightedItem = idx >= 0 ? me.items[idx] : null;
+            me.clear();
+            me.highlighted = -1;
+            $.each(items, function(i, item) {
+                me.addItem(item);
+            });
+            idx = highlightedItem === null ? -1 : $.inArray(highlightedItem, items);
+            if (idx >= 0) {
+                me.highlight(idx);
+            }
+        },
+
         /**
          * Highlight the previous item in the list.
          */
@@ -213,13 +236,16 @@
         /**
          * Triggers the 'select' event on the target input element, passing it the highlighted item's index
          * and value as extra arguments.
+         * @return {Boolean} Whether an item was highlighted and therefore selected.
          */
         selectHighlighted: function() {
             var idx = this.highlighted;
             if (idx >= 0) {
                 this.field.trigger('select', [idx, this.items[idx]]);
                 this.hide();
+                return true;
             }
+            return false;
         },
 
         /**
@@ -232,7 +258,10 @@
                 me.hide();
             }
             else if (key === 13) { //enter
-                me.selectHighlighted();
+                // An enter key that selects an item is not passed on to other handlers of the field
+                if (me.selectHighlighted()) {
+                    e.stopImmediatePropagation();
+                }
                 e.stopPropagation();
                 e.preventDefault();
             }
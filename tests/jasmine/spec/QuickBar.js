@@ -0,0 +1,2496 @@
+describe("QuickBar", function() {
+
+    var $ = jQuery,
+        Command = $.quickBar.Command,
+        bar,
+        requests;
+
+    // utility function for creating a QuickBar and opening it
+    function makeQuickBar(cfg) {
+        bar = $.quickBar(cfg || {});
+        bar.show();
+        return bar;
+    }
+
+    // utility function for entering a search and running it immediately
+    function searchFor(chars) {
+        bar.getBox().find('input').val(chars);
+        bar.search();
+    }
+
+    // utility function for getting the names of the commands shown in the dropdown
+    function listedNames() {
+        return $.map(bar.getBox().find('li .name'), function(el) {
+            return $(el).text();
+        });
+    }
+
+    // utility function for pressing Enter in the entry field with the given modifier keys; like browsers, it
+    // leaves out the keypress if the keydown's default action was prevented
+    function pressEnter(keys) {
+        var input = bar.getBox().find('input'),
+            e = $.extend($.Event('keydown'), {which: 13, key: 'Enter'}, keys);
+        input.trigger(e);
+        if (!e.isDefaultPrevented()) {
+            input.trigger({type: 'keypress', which: 13});
+        }
+    }
+
+    // utility function for entering a search and choosing the first result with the Enter key
+    function choose(chars, keys) {
+        searchFor(chars);
+        bar.getBox().find('input').trigger({type: 'keydown', which: 40});
+        pressEnter(keys);
+    }
+
+    // stand-in for XMLHttpRequest, which records the requests and lets the specs respond to them
+    function FakeXhr() {
+        requests.push(this);
+    }
+    $.extend(FakeXhr.prototype, {
+        readyState: 0,
+        status: 0,
+        statusText: '',
+        responseText: '',
+        open: function(method, url) {
+            this.method = method;
+            this.url = url;
+            this.readyState = 1;
+        },
+        setRequestHeader: function(name, value) {
+            this.requestHeaders = this.requestHeaders || {};
+            this.requestHeaders[name] = value;
+        },
+        send: function(body) {
+            this.body = body;
+        },
+        abort: function() {
+            this.aborted = true;
+        },
+        getResponseHeader: function(name) {
+            var found = null;
+            $.each(this.responseHeaders, function(header, value) {
+                if (header.toLowerCase() === name.toLowerCase()) {
+                    found = value;
+                }
+            });
+            return found;
+        },
+        getAllResponseHeaders: function() {
+            var lines = [];
+            $.each(this.responseHeaders, function(header, value) {
+                lines.push(header + ': ' + value);
+            });
+            return lines.join('\r\n');
+        },
+        respond: function(status, body, headers) {
+            this.responseHeaders = $.extend({'Content-Type': 'application/json'}, headers);
+            this.status = status;
+            this.statusText = status === 200 ? 'OK' : 'Error';
+            this.responseText = typeof body === 'string' ? body : JSON.stringify(body);
+            this.readyState = 4;
+            this.onreadystatechange();
+        }
+    });
+
+    // cleanup
+    afterEach(function() {
+        if (bar) {
+            bar.destroy();
+            bar = null;
+        }
+    });
+
+
+
+
+    ///// Specs /////
+
+    describe("API", function() {
+        it("should expose a quickBar function on the jQuery object", function() {
+            expect(typeof $.quickBar).toEqual('function');
+        });
+
+        it("should expose the internal classes as properties of the quickBar function", function() {
+            expect(typeof $.quickBar.QuickBar).toEqual('function');
+            expect(typeof $.quickBar.Command).toEqual('function');
+            expect(typeof $.quickBar.CommandSources).toEqual('object');
+        });
+    });
+
+    describe("Command scoring", function() {
+        var scores = Command.Scores;
+
+        it("should score an exact name match highest", function() {
+            expect(new Command({name: 'Go To URL'}).test('go to url')).toEqual(scores.exact);
+        });
+
+        it("should score a name prefix match", function() {
+            expect(new Command({name: 'Google Search'}).test('goo')).toEqual(scores.prefix);
+        });
+
+        it("should score a word beginning match", function() {
+            expect(new Command({name: 'Go To URL'}).test('gTU')).toEqual(scores.word);
+            expect(new Command({name: 'Google Search'}).test('sea')).toEqual(scores.word);
+        });
+
+        it("should score an alias match", function() {
+            expect(new Command({name: 'Logout', aliases: ['Sign Out']}).test('sign')).toEqual(scores.alias);
+        });
+
+        it("should score a custom regexp match", function() {
+            expect(new Command({name: 'New Message', regexp: /^e?mail/i}).test('email')).toEqual(scores.regexp);
+        });
+
+        it("should return 0 for no match", function() {
+            expect(new Command({name: 'Logout'}).test('xyz')).toEqual(0);
+        });
+
+        it("should order the match kinds by relevance", function() {
+            expect(scores.exact).toBeGreaterThan(scores.prefix);
+            expect(scores.prefix).toBeGreaterThan(scores.word);
+            expect(scores.word).toBeGreaterThan(scores.alias);
+            expect(scores.alias).toBeGreaterThan(scores.regexp);
+        });
+
+        it("should use a configured score in preference to the calculated one", function() {
+            expect(new Command({name: 'Logout', score: 55}).getScore('log')).toEqual(55);
+        });
+
+        it("should give a non-matching command from a source the minimum score", function() {
+            expect(new Command({name: 'Logout'}).getScore('xyz')).toEqual(scores.min);
+        });
+    });
+
+    describe("fuzzy matching", function() {
+        function fuzzy(cfg) {
+            return new Command($.extend({matcher: 'fuzzy'}, cfg));
+        }
+
+        it("should match a subsequence of the name", function() {
+            expect(fuzzy({name: 'Go To URL'}).isMatch('gtu')).toBeGreaterThan(0);
+            expect(fuzzy({name: 'Go To URL'}).isMatch('gourl')).toBeGreaterThan(0);
+        });
+
+        it("should not match characters out of order", function() {
+            expect(fuzzy({name: 'Go To URL'}).isMatch('ug')).toEqual(0);
+        });
+
+        it("should not be used by the standard matcher", function() {
+            expect(new Command({name: 'Go To URL'}).isMatch('gourl')).toEqual(0);
+        });
+
+        it("should prefer matches at word beginnings", function() {
+            var match = fuzzy({name: 'Go To URL'}).getMatch('gtu');
+            expect(match.indices).toEqual([0, 3, 6]);
+        });
+
+        it("should rank word beginning and contiguous matches higher", function() {
+            expect(fuzzy({name: 'Go To URL'}).isMatch('gtu'))
+                .toBeGreaterThan(fuzzy({name: 'Google Routes'}).isMatch('gtu'));
+        });
+
+        it("should rank name matches above alias matches", function() {
+            expect(fuzzy({name: 'Go To URL'}).isMatch('gtu'))
+                .toBeGreaterThan(fuzzy({name: 'Location', aliases: ['Go To URL']}).isMatch('gtu'));
+        });
+
+        it("should be inherited by commands from the QuickBar config", function() {
+            makeQuickBar({
+                matcher: 'fuzzy',
+                sources: [{type: 'local', commands: [{name: 'Go To URL'}]}]
+            });
+            searchFor('gourl');
+            expect(listedNames()).toEqual(['Go To URL']);
+        });
+
+        it("should be overridable per source", function() {
+            makeQuickBar({
+                sources: [
+                    {type: 'local', commands: [{name: 'Go To URL'}]},
+                    {type: 'local', matcher: 'fuzzy', commands: [{name: 'Go Up Level'}]}
+                ]
+            });
+            searchFor('gul');
+            expect(listedNames()).toEqual(['Go Up Level']);
+        });
+    });
+
+    describe("match highlighting", function() {
+        it("should wrap the matched characters of the name", function() {
+            expect(new Command({name: 'Go To URL'}).getNameHtml('gTU'))
+                .toEqual('<b class="match">G</b>o <b class="match">T</b>o <b class="match">U</b>RL');
+        });
+
+        it("should wrap contiguous matched characters together", function() {
+            expect(new Command({name: 'Google'}).getNameHtml('goo'))
+                .toEqual('<b class="match">Goo</b>gle');
+        });
+
+        it("should escape the name", function() {
+            expect(new Command({name: 'Q&A'}).getNameHtml('')).toEqual('Q&amp;A');
+        });
+
+        it("should highlight the matched characters in the dropdown", function() {
+            makeQuickBar({
+                sources: [{type: 'local', commands: [{name: 'Google Search'}]}]
+            });
+            searchFor('goo');
+            expect(bar.getBox().find('li .name b.match').text()).toEqual('Goo');
+        });
+    });
+
+    describe("usage history", function() {
+        var UsageHistory = $.quickBar.UsageHistory,
+            storageKey = 'quickBarSpecHistory';
+
+        afterEach(function() {
+            localStorage.removeItem(storageKey);
+        });
+
+        it("should not boost commands that were never chosen", function() {
+            var history = new UsageHistory({storageKey: storageKey});
+            expect(history.getBoost(new Command({name: 'Logout'}), 'lo')).toEqual(0);
+        });
+
+        it("should boost chosen commands", function() {
+            var history = new UsageHistory({storageKey: storageKey}),
+                command = new Command({name: 'Logout'});
+            history.record(command, 'lo');
+            expect(history.getBoost(command, 'x')).toBeGreaterThan(0);
+        });
+
+        it("should not mistake inherited properties for remembered commands and queries", function() {
+            var history = new UsageHistory({storageKey: storageKey}),
+                command = new Command({name: 'toString'});
+            expect(history.getBoost(command, 'to')).toEqual(0);
+            history.record(command, 'constructor');
+            expect(history.data.toString.n).toEqual(1);
+            expect(history.data.toString.q.constructor).toEqual(1);
+            makeQuickBar({history: {storageKey: storageKey}, sources: [['toString', 'constructor']]});
+            expect(bar.findCommands(['constructor'])[0].name).toEqual('constructor');
+            searchFor('constructor');
+            expect(listedNames()).toEqual(['constructor']);
+        });
+
+        it("should boost more for the same query", function() {
+            var history = new UsageHistory({storageKey: storageKey}),
+                command = new Command({name: 'Logout'});
+            history.record(command, 'lo');
+            expect(history.getBoost(command, 'lo')).toBeGreaterThan(history.getBoost(command, 'x'));
+        });
+
+        it("should boost recent usage more than old usage", function() {
+            var history = new UsageHistory({storageKey: storageKey}),
+                recent = new Command({name: 'Recent'}),
+                old = new Command({name: 'Old'});
+            history.record(recent, 'r');
+            history.record(old, 'o');
+            history.data.Old.t -= 4 * history.halfLife;
+            expect(history.getBoost(recent, 'x')).toBeGreaterThan(history.getBoost(old, 'x'));
+        });
+
+        it("should not exceed the maximum boost", function() {
+            var history = new UsageHistory({storageKey: storageKey, maxBoost: 5}),
+                command = new Command({name: 'Logout'});
+            for (var i = 0; i < 50; i++) {
+                history.record(command, 'lo');
+            }
+            expect(history.getBoost(command, 'lo')).toEqual(5);
+        });
+
+        it("should persist under the configured storage key", function() {
+            var command = new Command({name: 'Logout'});
+            new UsageHistory({storageKey: storageKey}).record(command, 'lo');
+            expect(new UsageHistory({storageKey: storageKey}).getBoost(command, 'lo')).toBeGreaterThan(0);
+            expect(new UsageHistory({storageKey: storageKey + 'Other'}).getBoost(command, 'lo')).toEqual(0);
+        });
+
+        it("should not track commands that opt out", function() {
+            var history = new UsageHistory({storageKey: storageKey}),
+                command = new Command({name: 'Logout', track: false});
+            history.record(command, 'lo');
+            expect(history.data).toEqual({});
+        });
+
+        it("should forget everything when cleared", function() {
+            var history = new UsageHistory({storageKey: storageKey}),
+                command = new Command({name: 'Logout'});
+            history.record(command, 'lo');
+            history.clear();
+            expect(history.getBoost(command, 'lo')).toEqual(0);
+            expect(new UsageHistory({storageKey: storageKey}).data).toEqual({});
+        });
+
+        it("should rank previously chosen commands higher", function() {
+            makeQuickBar({
+                history: {storageKey: storageKey},
+                sources: [{type: 'local', commands: [{name: 'Go To URL'}, {name: 'Google Search', action: function() {}}]}]
+            });
+            searchFor('go');
+            expect(listedNames()).toEqual(['Go To URL', 'Google Search']);
+            bar.itemSelected(null, 1, bar.sources[0].commands[1]);
+            bar.show();
+            searchFor('go');
+            expect(listedNames()).toEqual(['Google Search', 'Go To URL']);
+        });
+
+        it("should only record commands that were executed", function() {
+            makeQuickBar({
+                history: {storageKey: storageKey},
+                sources: [{type: 'local', commands: [{name: 'Logout', action: function() {}}]}]
+            });
+            bar.on('beforeExec', function() {
+                return false;
+            });
+            searchFor('lo');
+            bar.itemSelected(null, 0, bar.sources[0].commands[0]);
+            expect(bar.history.data).toEqual({});
+        });
+    });
+
+    describe("empty query", function() {
+        var storageKey = 'quickBarSpecHistory',
+            pinStorageKey = 'quickBarSpecPins';
+
+        function makeBarWithHistory() {
+            return makeQuickBar({
+                history: {storageKey: storageKey, pinStorageKey: pinStorageKey},
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Logout', action: function() {}},
+                        {name: 'New Message', action: function() {}},
+                        {name: 'Go To URL', action: function() {}}
+                    ]
+                }]
+            });
+        }
+
+        function choose(name) {
+            bar.itemSelected(null, 0, bar.sources[0].getCommand(name));
+            bar.show();
+        }
+
+        afterEach(function() {
+            localStorage.removeItem(storageKey);
+            localStorage.removeItem(pinStorageKey);
+        });
+
+        it("should list nothing if no commands were chosen or pinned", function() {
+            makeBarWithHistory();
+            expect(listedNames()).toEqual([]);
+        });
+
+        it("should list recently chosen commands, most recent first", function() {
+            makeBarWithHistory();
+            choose('Logout');
+            bar.history.data.Logout.t -= 1000;
+            choose('Go To URL');
+            expect(listedNames()).toEqual(['Go To URL', 'Logout']);
+        });
+
+        it("should list pinned commands before recent ones", function() {
+            makeBarWithHistory();
+            choose('Logout');
+            bar.togglePin(bar.sources[0].getCommand('New Message'));
+            expect(listedNames()).toEqual(['New Message', 'Logout']);
+            expect(bar.getBox().find('li').eq(0).find('.pinned').size()).toEqual(1);
+        });
+
+        it("should list the entered search results once characters are entered", function() {
+            makeBarWithHistory();
+            choose('Logout');
+            searchFor('go');
+            expect(listedNames()).toEqual(['Go To URL']);
+        });
+
+        it("should toggle the pin on the highlighted command with the pin keystroke", function() {
+            var input;
+            makeBarWithHistory();
+            choose('Logout');
+            input = bar.getBox().find('input');
+            input.trigger({type: 'keydown', which: 40});
+            input.trigger({type: 'keydown', which: 80, altKey: true});
+            expect(bar.history.getPinned()).toEqual(['Logout']);
+            input.trigger({type: 'keydown', which: 80, altKey: true});
+            expect(bar.history.getPinned()).toEqual([]);
+        });
+
+        it("should persist pinned commands", function() {
+            makeBarWithHistory();
+            bar.togglePin(bar.sources[0].getCommand('Logout'));
+            bar.getBox().remove();
+            makeBarWithHistory();
+            expect(listedNames()).toEqual(['Logout']);
+        });
+    });
+
+    describe("arguments", function() {
+        var spy, input;
+
+        function makeBarWithCommand(commandCfg) {
+            spy = jasmine.createSpy();
+            makeQuickBar({
+                history: false,
+                sources: [{type: 'local', commands: [$.extend({name: 'Test', action: spy}, commandCfg)]}]
+            });
+            input = bar.getBox().find('input');
+            bar.itemSelected(null, 0, bar.sources[0].commands[0]);
+        }
+
+        function enter(value) {
+            input.val(value).trigger({type: 'keypress', which: 13});
+        }
+
+        function backspace() {
+            input.trigger({type: 'keydown', which: 8});
+        }
+
+        it("should pass a single arg to the action as a string", function() {
+            makeBarWithCommand({arg: 'Term', argDefault: 'abc'});
+            expect(input.val()).toEqual('abc');
+            expect(bar.getBox().find('label').text()).toEqual('Test - Term:');
+            enter('xyz');
+            expect(spy).toHaveBeenCalledWith('xyz');
+        });
+
+        it("should ask for each of multiple args in turn", function() {
+            makeBarWithCommand({args: [{name: 'to', label: 'To'}, {name: 'subject', label: 'Subject', 'default': 'Hi'}]});
+            expect(bar.getBox().find('label').text()).toEqual('Test - To:');
+            enter('bob');
+            expect(spy).not.toHaveBeenCalled();
+            expect(bar.getBox().find('label').text()).toEqual('Test - Subject:');
+            expect(input.val()).toEqual('Hi');
+            enter('Hello');
+            expect(spy).toHaveBeenCalledWith({to: 'bob', subject: 'Hello'});
+        });
+
+        it("should not submit an empty required arg", function() {
+            makeBarWithCommand({args: [{name: 'to', required: true}]});
+            enter(' ');
+            expect(spy).not.toHaveBeenCalled();
+            enter('bob');
+            expect(spy).toHaveBeenCalledWith({to: 'bob'});
+        });
+
+        it("should go back to the previous arg on backspace in an empty field", function() {
+            makeBarWithCommand({args: [{name: 'to', label: 'To'}, {name: 'subject', label: 'Subject'}]});
+            enter('bob');
+            input.val('');
+            backspace();
+            expect(bar.getBox().find('label').text()).toEqual('Test - To:');
+            expect(input.val()).toEqual('bob');
+            enter('alice');
+            enter('Hi');
+            expect(spy).toHaveBeenCalledWith({to: 'alice', subject: 'Hi'});
+        });
+
+        it("should not go back from the first arg", function() {
+            makeBarWithCommand({args: [{name: 'to', label: 'To'}]});
+            input.val('');
+            backspace();
+            expect(bar.getBox().find('label').text()).toEqual('Test - To:');
+        });
+
+        it("should list suggestions from an array source as the arg is typed", function() {
+            makeBarWithCommand({args: [{name: 'project', source: ['Apollo', 'Gemini', 'Mercury']}]});
+            input.val('ge');
+            bar.search();
+            expect(listedNames()).toEqual(['Gemini']);
+        });
+
+        it("should list suggestions from a function source", function() {
+            makeBarWithCommand({argSource: function(chars) {
+                return [chars + ' one', {name: chars + ' two'}];
+            }, arg: true});
+            input.val('x');
+            bar.search();
+            expect(listedNames()).toEqual(['x one', 'x two']);
+        });
+
+        it("should list suggestions passed to the callback of a function source", function() {
+            makeBarWithCommand({argSource: function(chars, callback) {
+                callback(['later']);
+            }, arg: true});
+            input.val('x');
+            bar.search();
+            expect(listedNames()).toEqual(['later']);
+        });
+
+        it("should submit the value of a selected suggestion", function() {
+            makeBarWithCommand({args: [
+                {name: 'project', source: [{name: 'Apollo', value: 'apollo-11'}, 'Gemini']},
+                {name: 'note'}
+            ]});
+            input.val('ap');
+            bar.search();
+            input.trigger({type: 'keydown', which: 40});
+            input.trigger({type: 'keypress', which: 13});
+            expect(bar.getBox().find('label').text()).toEqual('Test:');
+            enter('done');
+            expect(spy).toHaveBeenCalledWith({project: 'apollo-11', note: 'done'});
+        });
+
+        it("should copy the highlighted suggestion into the field on tab", function() {
+            makeBarWithCommand({args: [{name: 'project', source: ['Apollo', 'Gemini']}]});
+            input.val('ge');
+            bar.search();
+            input.trigger({type: 'keydown', which: 40});
+            input.trigger({type: 'keydown', which: 9});
+            expect(input.val()).toEqual('Gemini');
+            expect(spy).not.toHaveBeenCalled();
+            enter('Gemini 2');
+            expect(spy).toHaveBeenCalledWith({project: 'Gemini 2'});
+        });
+
+        it("should not submit an invalid value and display an error instead", function() {
+            makeBarWithCommand({arg: true, argType: 'email'});
+            enter('bob');
+            expect(spy).not.toHaveBeenCalled();
+            expect(bar.getBox().find('.error').text()).toEqual('Please enter a valid email address.');
+            expect(input.attr('aria-invalid')).toEqual('true');
+            enter('bob@example.com');
+            expect(spy).toHaveBeenCalledWith('bob@example.com');
+            expect(bar.getBox().find('.error').is(':visible')).toBe(false);
+        });
+
+        it("should clear the error when the user types", function() {
+            makeBarWithCommand({arg: true, argType: 'number'});
+            enter('abc');
+            input.trigger({type: 'keyup', which: 65});
+            expect(bar.getBox().find('.error').text()).toEqual('');
+        });
+
+        it("should pass the coerced value to the action", function() {
+            makeBarWithCommand({args: [{name: 'count', type: 'integer'}, {name: 'when', type: 'date'}]});
+            enter(' 42 ');
+            enter('2011-01-31');
+            expect(spy.mostRecentCall.args[0].count).toBe(42);
+            expect(spy.mostRecentCall.args[0].when.getTime()).toEqual(new Date(2011, 0, 31).getTime());
+        });
+
+        it("should use a custom validator's error message", function() {
+            makeBarWithCommand({args: [{name: 'n', type: 'number', validate: function(value) {
+                return value > 10 || 'Too small';
+            }}]});
+            enter('5');
+            expect(spy).not.toHaveBeenCalled();
+            expect(bar.getBox().find('.error').text()).toEqual('Too small');
+            enter('11');
+            expect(spy).toHaveBeenCalledWith({n: 11});
+        });
+
+        it("should suggest the options of an enum arg", function() {
+            makeBarWithCommand({args: [{name: 'size', type: 'enum', options: ['Small', 'Large']}]});
+            input.val('la');
+            bar.search();
+            expect(listedNames()).toEqual(['Large']);
+            enter('LARGE');
+            expect(spy).toHaveBeenCalledWith({size: 'Large'});
+        });
+
+        it("should replace named tokens in URL templates", function() {
+            expect(Command.applyTemplate('mailto:{to}?subject={subject}&x={other}', {to: 'bob', subject: 'Hi'}))
+                .toEqual('mailto:bob?subject=Hi&x={other}');
+        });
+
+        it("should leave inherited names in templates alone and accept a missing template", function() {
+            expect(Command.applyTemplate('{constructor} {to}', {to: 'bob'})).toEqual('{constructor} bob');
+            expect(Command.applyTemplate(undefined, {to: 'bob'})).toEqual('');
+        });
+    });
+
+    describe("argument types", function() {
+        function coerce(arg, value) {
+            return new Command({name: 'Test'}).coerceArg(arg, value);
+        }
+
+        it("should coerce numbers", function() {
+            expect(coerce({type: 'number'}, '1.5e2')).toEqual({value: 150});
+            expect(coerce({type: 'number'}, '12abc').error).toBeDefined();
+        });
+
+        it("should coerce integers", function() {
+            expect(coerce({type: 'integer'}, '-7')).toEqual({value: -7});
+            expect(coerce({type: 'integer'}, '7.5').error).toBeDefined();
+        });
+
+        it("should validate URLs", function() {
+            expect(coerce({type: 'url'}, 'http://example.com/a?b')).toEqual({value: 'http://example.com/a?b'});
+            expect(coerce({type: 'url'}, 'http://').error).toBeDefined();
+        });
+
+        it("should coerce booleans", function() {
+            expect(coerce({type: 'boolean'}, 'Yes')).toEqual({value: true});
+            expect(coerce({type: 'boolean'}, 'off')).toEqual({value: false});
+            expect(coerce({type: 'boolean'}, 'maybe').error).toBeDefined();
+        });
+
+        it("should reject impossible dates", function() {
+            expect(coerce({type: 'date'}, '2011-02-31').error).toBeDefined();
+        });
+
+        it("should list the options in the error for enums", function() {
+            expect(coerce({type: 'enum', options: ['a', 'b']}, 'c').error).toEqual('Please enter one of: a, b');
+        });
+
+        it("should give empty optional typed args a null value", function() {
+            expect(coerce({type: 'number'}, '')).toEqual({value: null});
+            expect(coerce({}, '')).toEqual({value: ''});
+        });
+
+        it("should require a value for required args", function() {
+            expect(coerce({type: 'number', required: true}, ' ').error).toBeDefined();
+        });
+
+        it("should report unknown types as configuration errors", function() {
+            expect(function() {
+                coerce({name: 'size', type: 'bigness'}, '3');
+            }).toThrow('Unknown type "bigness" of argument "size" of command "Test"');
+            expect(function() {
+                new Command({name: 'Resize', args: [{name: 'size', type: 'bigness'}]});
+            }).toThrow('Unknown type "bigness" of argument "size" of command "Resize"');
+        });
+    });
+
+    describe("subjects and verbs", function() {
+        var openSpy, emailSpy, input;
+
+        beforeEach(function() {
+            openSpy = jasmine.createSpy();
+            emailSpy = jasmine.createSpy();
+            makeQuickBar({
+                history: false,
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Ticket 42', subjectType: 'ticket', value: 42},
+                        {name: 'Home Link', subjectType: 'url', value: 'http://example.com/'}
+                    ]
+                }],
+                verbs: [
+                    {name: 'Open', accepts: 'url', action: openSpy},
+                    {name: 'Email To', accepts: '*', object: {label: 'To', type: 'email'}, action: emailSpy},
+                    {name: 'Assign', accepts: 'ticket', action: function() {}}
+                ]
+            });
+            input = bar.getBox().find('input');
+        });
+
+        it("should list only the verbs that accept the chosen subject", function() {
+            choose('ticket');
+            expect(bar.getBox().find('label').text()).toEqual('Ticket 42 \u203a Action:');
+            expect(listedNames()).toEqual(['Email To', 'Assign']);
+        });
+
+        it("should filter the verbs by the entered characters", function() {
+            choose('home');
+            searchFor('op');
+            expect(listedNames()).toEqual(['Open']);
+        });
+
+        it("should pass the subject value to the verb's action", function() {
+            choose('home');
+            choose('op');
+            expect(openSpy).toHaveBeenCalledWith({subject: 'http://example.com/'});
+        });
+
+        it("should ask for the verb's object before executing it", function() {
+            choose('ticket');
+            choose('email');
+            expect(bar.getBox().find('label').text()).toEqual('Ticket 42 \u203a Email To - To:');
+            input.val('bob@example.com').trigger({type: 'keypress', which: 13});
+            expect(emailSpy).toHaveBeenCalledWith({subject: 42, object: 'bob@example.com'});
+        });
+
+        it("should go back to the subjects on backspace in the empty field", function() {
+            choose('ticket');
+            input.val('').trigger({type: 'keydown', which: 8});
+            expect(bar.getBox().find('label').text()).toEqual('Command:');
+        });
+
+        it("should go back to the verbs on escape from the object", function() {
+            choose('ticket');
+            choose('email');
+            input.trigger({type: 'keyup', which: 27});
+            expect(bar.getBox().find('label').text()).toEqual('Ticket 42 \u203a Action:');
+            expect(listedNames()).toEqual(['Email To', 'Assign']);
+        });
+
+        it("should offer the entered text as a subject", function() {
+            searchFor('hello world');
+            expect(listedNames()).toEqual(['\u201chello world\u201d']);
+            choose('hello world');
+            expect(listedNames()).toEqual(['Email To']);
+        });
+
+        it("should offer the page as a url subject", function() {
+            choose('this page');
+            expect(listedNames()).toEqual(['Open', 'Email To']);
+        });
+    });
+
+    describe("nested menus", function() {
+        var themeSpy, input;
+
+        beforeEach(function() {
+            themeSpy = jasmine.createSpy();
+            makeQuickBar({
+                history: false,
+                sources: [{
+                    type: 'local',
+                    commands: [{
+                        name: 'Settings',
+                        children: [
+                            {name: 'Theme', children: [
+                                {name: 'Dark', action: themeSpy},
+                                {name: 'Light', action: themeSpy}
+                            ]},
+                            {name: 'Language', children: function(chars) {
+                                return ['English', 'French'];
+                            }}
+                        ]
+                    }]
+                }]
+            });
+            input = bar.getBox().find('input');
+        });
+
+        it("should list all the children of the chosen command", function() {
+            choose('settings');
+            expect(listedNames()).toEqual(['Theme', 'Language']);
+        });
+
+        it("should show the path to the menu in the label", function() {
+            choose('settings');
+            choose('theme');
+            expect(bar.getBox().find('label').text()).toEqual('Settings \u203a Theme:');
+        });
+
+        it("should filter the children by the entered characters", function() {
+            choose('settings');
+            choose('theme');
+            searchFor('li');
+            expect(listedNames()).toEqual(['Light']);
+        });
+
+        it("should execute a chosen child command", function() {
+            choose('settings');
+            choose('theme');
+            choose('dark');
+            expect(themeSpy).toHaveBeenCalled();
+        });
+
+        it("should get children from a function", function() {
+            choose('settings');
+            choose('lang');
+            expect(listedNames()).toEqual(['English', 'French']);
+        });
+
+        it("should go up one level on backspace in the empty field", function() {
+            choose('settings');
+            choose('theme');
+            input.val('').trigger({type: 'keydown', which: 8});
+            expect(bar.getBox().find('label').text()).toEqual('Settings:');
+            expect(listedNames()).toEqual(['Theme', 'Language']);
+        });
+
+        it("should go up one level on escape rather than hiding", function() {
+            choose('settings');
+            input.trigger({type: 'keyup', which: 27});
+            expect(bar.getBox().find('label').text()).toEqual('Command:');
+            expect(bar._vis).toBeTruthy();
+        });
+    });
+
+    describe("keystrokes", function() {
+        var Keystroke = $.quickBar.Keystroke;
+
+        function keydown(cfg) {
+            return $.extend($.Event('keydown'), cfg);
+        }
+
+        it("should match a key with modifiers by its character", function() {
+            var ks = new Keystroke('ctrl+shift+k');
+            expect(ks.matches(keydown({key: 'K', ctrlKey: true, shiftKey: true}))).toBe(true);
+            expect(ks.matches(keydown({key: 'k', ctrlKey: true}))).toBe(false);
+            expect(ks.matches(keydown({key: 'k', ctrlKey: true, shiftKey: true, altKey: true}))).toBe(false);
+        });
+
+        it("should match named keys", function() {
+            var ks = new Keystroke('ctrl+shift+space');
+            expect(ks.matches(keydown({key: ' ', code: 'Space', ctrlKey: true, shiftKey: true}))).toBe(true);
+        });
+
+        it("should match on the character rather than the physical key", function() {
+            // The Q key of an AZERTY keyboard is where QWERTY has its A key
+            var ks = new Keystroke('ctrl+q');
+            expect(ks.matches(keydown({key: 'q', code: 'KeyA', ctrlKey: true}))).toBe(true);
+            expect(ks.matches(keydown({key: 'a', code: 'KeyQ', ctrlKey: true}))).toBe(false);
+        });
+
+        it("should fall back to the physical key when a modifier changes the character", function() {
+            var ks = new Keystroke('alt+k');
+            expect(ks.matches(keydown({key: '\u02da', code: 'KeyK', altKey: true}))).toBe(true);
+        });
+
+        it("should fall back to the key code when the key is not known", function() {
+            var ks = new Keystroke('ctrl+p');
+            expect(ks.matches(keydown({which: 80, ctrlKey: true}))).toBe(true);
+        });
+
+        it("should map 'mod' to the platform's command modifier", function() {
+            var modKey = Keystroke.modKey,
+                cfg = {key: 'k'};
+            cfg[modKey + 'Key'] = true;
+            expect(new Keystroke('mod+k').matches(keydown(cfg))).toBe(true);
+        });
+
+        it("should match a sequence of keystrokes", function() {
+            var ks = new Keystroke('g c');
+            expect(ks.matches(keydown({key: 'g'}))).toBe(false);
+            expect(ks.matches(keydown({key: 'Shift'}))).toBe(false);
+            expect(ks.matches(keydown({key: 'c'}))).toBe(true);
+            expect(ks.matches(keydown({key: 'c'}))).toBe(false);
+        });
+
+        it("should start a sequence over when a different key is pressed", function() {
+            var ks = new Keystroke('g c');
+            ks.matches(keydown({key: 'g'}));
+            ks.matches(keydown({key: 'x'}));
+            expect(ks.matches(keydown({key: 'c'}))).toBe(false);
+        });
+
+        it("should allow alternative keystrokes", function() {
+            var ks = new Keystroke(['ctrl+shift+space', 'alt+k']);
+            expect(ks.matches(keydown({key: 'k', altKey: true}))).toBe(true);
+        });
+
+        it("should support the legacy key code definition", function() {
+            var ks = new Keystroke({which: 32, modifiers: ['shift', 'ctrl']});
+            expect(ks.matches(keydown({which: 32, shiftKey: true, ctrlKey: true, altKey: true}))).toBe(true);
+            expect(ks.matches(keydown({which: 32, shiftKey: true}))).toBe(false);
+        });
+
+        it("should reject unknown keys and modifiers", function() {
+            expect(function() { new Keystroke('hyper+k'); }).toThrow();
+            expect(function() { new Keystroke('ctrl+kay'); }).toThrow();
+        });
+
+        it("should open the QuickBar on its keystroke and prevent the default action", function() {
+            var e = keydown({key: 'k', ctrlKey: true});
+            bar = $.quickBar({keystroke: 'ctrl+k'});
+            $(document).trigger(e);
+            expect(bar._vis).toBeTruthy();
+            expect(e.isDefaultPrevented()).toBe(true);
+        });
+
+        it("should ignore unmodified launch keystrokes while typing in a field", function() {
+            var field = $('<input type="text" />').appendTo('body');
+            bar = $.quickBar({keystroke: 'g c'});
+            field.trigger(keydown({key: 'g'})).trigger(keydown({key: 'c'}));
+            expect(bar._vis).toBeFalsy();
+            field.remove();
+        });
+    });
+
+    describe("command hotkeys", function() {
+        var logoutSpy, messageSpy;
+
+        beforeEach(function() {
+            logoutSpy = jasmine.createSpy();
+            messageSpy = jasmine.createSpy();
+            bar = $.quickBar({
+                history: false,
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Logout', hotkey: 'alt+shift+l', action: logoutSpy},
+                        {name: 'New Message', hotkey: 'alt+shift+m', arg: 'To', action: messageSpy}
+                    ]
+                }]
+            });
+        });
+
+        function press(cfg) {
+            var e = $.extend($.Event('keydown'), cfg);
+            $(document).trigger(e);
+            return e;
+        }
+
+        it("should execute the command without opening the QuickBar", function() {
+            var e = press({key: 'L', altKey: true, shiftKey: true});
+            expect(logoutSpy).toHaveBeenCalled();
+            expect(e.isDefaultPrevented()).toBe(true);
+            expect(bar._vis).toBeFalsy();
+        });
+
+        it("should open the QuickBar to ask for the command's argument", function() {
+            press({key: 'M', altKey: true, shiftKey: true});
+            expect(bar._vis).toBeTruthy();
+            expect(bar.getBox().find('label').text()).toEqual('New Message - To:');
+            bar.getBox().find('input').val('bob').trigger({type: 'keypress', which: 13});
+            expect(messageSpy).toHaveBeenCalledWith('bob');
+        });
+
+        it("should show the hotkey next to the command name", function() {
+            bar.show();
+            searchFor('logout');
+            expect(bar.getBox().find('li .hotkey').text()).toEqual('Alt+Shift+L');
+        });
+
+        it("should report a hotkey that is already taken", function() {
+            var spy = jasmine.createSpy(),
+                other = $.quickBar({
+                    keystroke: 'ctrl+k',
+                    history: false,
+                    listeners: {hotkeyConflict: spy},
+                    sources: [{
+                        type: 'local',
+                        commands: [
+                            {name: 'One', hotkey: 'ctrl+shift+1'},
+                            {name: 'Two', hotkey: 'ctrl+shift+1'},
+                            {name: 'Three', hotkey: 'ctrl+k'}
+                        ]
+                    }]
+                });
+            expect(spy.callCount).toEqual(2);
+            expect(spy.argsForCall[0][1].command.name).toEqual('Two');
+            expect(spy.argsForCall[0][1].taken.name).toEqual('One');
+            expect(spy.argsForCall[1][1].command.name).toEqual('Three');
+            expect(spy.argsForCall[1][1].taken).toEqual('ctrl+k');
+            other.destroy();
+        });
+
+        it("should register the hotkeys of commands added later", function() {
+            var spy = jasmine.createSpy();
+            bar.sources[0].addCommand({name: 'Archive', hotkey: 'alt+shift+a', action: spy});
+            press({key: 'A', altKey: true, shiftKey: true});
+            expect(spy).toHaveBeenCalled();
+        });
+    });
+
+    describe("command availability", function() {
+        var row;
+
+        beforeEach(function() {
+            row = $('<table class="rows"><tr><td><input type="text" /></td></tr></table>').appendTo('body');
+        });
+
+        afterEach(function() {
+            row.remove();
+        });
+
+        function makeBar(cfg) {
+            return makeQuickBar($.extend({
+                history: false,
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Delete Row', when: 'table.rows tr'},
+                        {name: 'Delete Message', when: {view: 'inbox'}},
+                        {name: 'Delete All', when: function(context) { return context.keys.admin; }},
+                        {name: 'Delete Nothing'}
+                    ]
+                }, {
+                    type: 'local',
+                    when: {editing: true},
+                    commands: [{name: 'Delete Draft'}]
+                }]
+            }, cfg));
+        }
+
+        it("should leave out commands whose condition fails", function() {
+            makeBar();
+            searchFor('delete');
+            expect(listedNames()).toEqual(['Delete Nothing']);
+        });
+
+        it("should check a selector against the element focused before opening", function() {
+            row.find('input').focus();
+            makeBar();
+            searchFor('delete');
+            expect(listedNames()).toEqual(['Delete Row', 'Delete Nothing']);
+        });
+
+        it("should check context keys set by the application", function() {
+            makeBar({contextKeys: {view: 'inbox'}});
+            bar.setContextKey('admin', true);
+            searchFor('delete');
+            expect(listedNames()).toEqual(['Delete Message', 'Delete All', 'Delete Nothing']);
+        });
+
+        it("should apply a source's condition to all its commands", function() {
+            makeBar();
+            bar.setContextKey('editing', true);
+            searchFor('delete');
+            expect(listedNames()).toEqual(['Delete Nothing', 'Delete Draft']);
+        });
+
+        it("should apply a source's condition only to its own commands when names are shared", function() {
+            var spy = jasmine.createSpy();
+            makeBar();
+            bar.sources[0].getCommand('Delete Nothing').action = spy;
+            bar.sources[1].addCommand({name: 'Delete Nothing'});
+            bar.setContextKey('editing', true);
+            searchFor('delete nothing');
+            expect(listedNames()).toEqual(['Delete Nothing', 'Delete Nothing']);
+            bar.contextKeys.editing = false;
+            bar.itemSelected(null, 0, bar.sources[0].getCommand('Delete Nothing'));
+            expect(spy).toHaveBeenCalled();
+        });
+
+        it("should update the results when a context key changes", function() {
+            makeBar();
+            searchFor('delete');
+            bar.setContextKey('view', 'inbox');
+            expect(listedNames()).toEqual(['Delete Message', 'Delete Nothing']);
+        });
+
+        it("should list unavailable commands last and disabled if configured to", function() {
+            var spy = jasmine.createSpy();
+            makeBar({unavailable: 'disable'});
+            bar.sources[0].addCommand({name: 'Delete Row Now', when: 'table.rows tr', action: spy});
+            searchFor('delete');
+            expect(listedNames()).toEqual(['Delete Nothing', 'Delete Row', 'Delete Message', 'Delete All',
+                                           'Delete Row Now', 'Delete Draft']);
+            expect(bar.getBox().find('li.disabled').size()).toEqual(5);
+            bar.itemSelected(null, 4, bar.sources[0].getCommand('Delete Row Now'));
+            expect(spy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("events", function() {
+        var actionSpy;
+
+        function makeBar(cfg) {
+            actionSpy = jasmine.createSpy().andReturn('done');
+            bar = $.quickBar($.extend({
+                history: false,
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Logout', action: actionSpy},
+                        {name: 'Google Search', arg: 'Term', action: actionSpy},
+                        {name: 'Explode', action: function() { throw new Error('boom'); }}
+                    ]
+                }]
+            }, cfg));
+            return bar;
+        }
+
+        it("should call handlers added with the on method", function() {
+            var spy = jasmine.createSpy();
+            makeBar().on('show', spy);
+            bar.show();
+            expect(spy).toHaveBeenCalled();
+            expect(spy.mostRecentCall.object).toBe(bar);
+        });
+
+        it("should call handlers given in the listeners config", function() {
+            var spy = jasmine.createSpy();
+            makeBar({listeners: {show: spy}}).show();
+            expect(spy).toHaveBeenCalled();
+        });
+
+        it("should not call handlers removed with the off method", function() {
+            var spy = jasmine.createSpy();
+            makeBar().on('show', spy);
+            bar.off('show', spy);
+            bar.show();
+            expect(spy).not.toHaveBeenCalled();
+        });
+
+        it("should trigger the events as jQuery events on the QuickBar element", function() {
+            var spy = jasmine.createSpy();
+            makeBar().getBox().bind('quickbarhide', spy);
+            bar.show();
+            bar.hide();
+            expect(spy).toHaveBeenCalled();
+        });
+
+        it("should let beforeShow and beforeHide handlers cancel", function() {
+            makeBar().on('beforeShow', function() {
+                return false;
+            });
+            bar.show();
+            expect(bar._vis).toBeFalsy();
+            bar.off('beforeShow');
+            bar.show();
+            bar.getBox().bind('quickbarbeforehide', function(e) {
+                e.preventDefault();
+            });
+            bar.hide();
+            expect(bar._vis).toBeTruthy();
+        });
+
+        it("should let beforeSearch handlers change the query", function() {
+            makeBar().on('beforeSearch', function(e, data) {
+                data.query = data.query.replace(/^please /, '');
+            });
+            bar.show();
+            searchFor('please logout');
+            expect(listedNames()).toEqual(['Logout']);
+        });
+
+        it("should fire the results event with the listed results", function() {
+            var spy = jasmine.createSpy();
+            makeBar().on('results', spy);
+            bar.show();
+            searchFor('logout');
+            expect(spy.mostRecentCall.args[1].query).toEqual('logout');
+            expect(spy.mostRecentCall.args[1].results[0].command.name).toEqual('Logout');
+        });
+
+        it("should let beforeExec handlers change the argument or cancel", function() {
+            makeBar().on('beforeExec', function(e, data) {
+                if (data.command.name === 'Logout') {
+                    return false;
+                }
+                data.arg = data.arg.toUpperCase();
+            });
+            bar.show();
+            choose('logout');
+            expect(actionSpy).not.toHaveBeenCalled();
+            choose('google');
+            bar.getBox().find('input').val('kittens').trigger({type: 'keypress', which: 13});
+            expect(actionSpy).toHaveBeenCalledWith('KITTENS');
+        });
+
+        it("should fire the exec event with the action's result", function() {
+            var spy = jasmine.createSpy();
+            makeBar().on('exec', spy);
+            bar.show();
+            choose('logout');
+            expect(spy.mostRecentCall.args[1].command.name).toEqual('Logout');
+            expect(spy.mostRecentCall.args[1].result).toEqual('done');
+        });
+
+        it("should fire the execError event and display the error unless it is cancelled", function() {
+            var handled = false;
+            makeBar().on('execError', function(e, data) {
+                handled = data.error.message === 'boom';
+                return false;
+            });
+            bar.show();
+            choose('explode');
+            expect(handled).toBe(true);
+            expect(bar.getBox().find('.error:visible').size()).toEqual(0);
+            bar.off('execError');
+            choose('explode');
+            expect(bar.getBox().find('.error').text()).toEqual('boom');
+        });
+
+        it("should let argPrompt handlers change the initial value", function() {
+            makeBar().on('argPrompt', function(e, data) {
+                data.value = 'cats';
+            });
+            bar.show();
+            choose('google');
+            expect(bar.getBox().find('input').val()).toEqual('cats');
+        });
+    });
+
+    describe("asynchronous actions", function() {
+        var resolve, reject, input;
+
+        // a minimal promise whose outcome is controlled by the spec
+        function promise() {
+            return {
+                then: function(done, fail) {
+                    resolve = done;
+                    reject = fail;
+                }
+            };
+        }
+
+        beforeEach(function() {
+            makeQuickBar({
+                history: false,
+                messageTimeout: 10,
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Save', action: promise},
+                        {name: 'Greet', action: function() { return 'Hello!'; }},
+                        {name: 'Explode', action: function() { throw new Error('boom'); }}
+                    ]
+                }]
+            });
+            input = bar.getBox().find('input');
+        });
+
+        it("should stay open and busy while the action's promise is pending", function() {
+            choose('save');
+            expect(bar._vis).toBeTruthy();
+            expect(bar.getBox().hasClass('busy')).toBe(true);
+            expect(input.attr('disabled')).toBeTruthy();
+            bar.hide();
+            expect(bar._vis).toBeTruthy();
+        });
+
+        it("should stop waiting when Escape is pressed, ignoring the promise's outcome", function() {
+            choose('save');
+            $(document.body).trigger({type: 'keydown', which: 27});
+            expect(bar._vis).toBeFalsy();
+            expect(bar.getBox().hasClass('busy')).toBe(false);
+            expect(input.attr('disabled')).toBeFalsy();
+            reject('Could not save');
+            expect(bar._vis).toBeFalsy();
+            expect(bar.getBox().find('.error').text()).toEqual('');
+        });
+
+        it("should close when the action's promise is resolved", function() {
+            choose('save');
+            resolve();
+            expect(bar.getBox().hasClass('busy')).toBe(false);
+            expect(input.attr('disabled')).toBeFalsy();
+            expect(bar._vis).toBeFalsy();
+        });
+
+        it("should display the error when the action's promise is rejected", function() {
+            choose('save');
+            reject('Could not save');
+            expect(bar._vis).toBeTruthy();
+            expect(bar.getBox().find('.error').text()).toEqual('Could not save');
+        });
+
+        it("should display a default error when the rejection has no message", function() {
+            choose('save');
+            reject();
+            expect(bar.getBox().find('.error').text()).toEqual(bar.execErrorMessage);
+        });
+
+        it("should display an error thrown by the action", function() {
+            choose('explode');
+            expect(bar._vis).toBeTruthy();
+            expect(bar.getBox().find('.error').text()).toEqual('boom');
+        });
+
+        it("should display a returned message before closing", function() {
+            choose('greet');
+            expect(bar._vis).toBeTruthy();
+            expect(bar.getBox().find('.message').text()).toEqual('Hello!');
+            waitsFor(function() {
+                return !bar._vis;
+            }, 'QuickBar was not closed');
+        });
+    });
+
+    describe("confirmation", function() {
+        var spy, input;
+
+        beforeEach(function() {
+            spy = jasmine.createSpy();
+            makeQuickBar({
+                history: false,
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Delete All', confirm: true, action: spy},
+                        {name: 'Drop Database', confirm: 'This cannot be undone.', confirmBy: 'name', action: spy},
+                        {name: 'Remove', arg: true, action: spy, confirm: function(arg) {
+                            return arg === 'everything' && 'Remove everything?';
+                        }}
+                    ]
+                }]
+            });
+            input = bar.getBox().find('input');
+        });
+
+        it("should ask for confirmation instead of executing the command", function() {
+            choose('delete all');
+            expect(spy).not.toHaveBeenCalled();
+            expect(bar._vis).toBeTruthy();
+            expect(bar.getBox().find('label').text()).toContain('Are you sure you want to run "Delete All"?');
+            expect(input.attr('readonly')).toBeTruthy();
+        });
+
+        it("should execute the command when the confirm keystroke is pressed", function() {
+            choose('delete all');
+            input.trigger({type: 'keydown', which: 78, key: 'n'});
+            expect(spy).not.toHaveBeenCalled();
+            input.trigger({type: 'keydown', which: 89, key: 'y'});
+            expect(spy).toHaveBeenCalled();
+            expect(bar._vis).toBeFalsy();
+        });
+
+        it("should go back to the results when Escape is pressed", function() {
+            choose('delete all');
+            input.trigger({type: 'keyup', which: 27});
+            expect(spy).not.toHaveBeenCalled();
+            expect(bar._vis).toBeTruthy();
+            expect(input.val()).toEqual('delete all');
+            expect(input.attr('readonly')).toBeFalsy();
+            expect(listedNames()).toEqual(['Delete All']);
+        });
+
+        it("should require typing the command's name when confirming by name", function() {
+            choose('drop');
+            expect(bar.getBox().find('label').text()).toContain('This cannot be undone.');
+            input.trigger({type: 'keydown', which: 89, key: 'y'});
+            input.val('drop').trigger({type: 'keypress', which: 13});
+            expect(spy).not.toHaveBeenCalled();
+            expect(bar.getBox().find('.error').text()).toEqual(bar.confirmNameError);
+            input.val('drop database').trigger({type: 'keypress', which: 13});
+            expect(spy).toHaveBeenCalled();
+        });
+
+        it("should only ask when the confirm function returns a message", function() {
+            choose('remove');
+            input.val('something').trigger({type: 'keypress', which: 13});
+            expect(spy).toHaveBeenCalledWith('something');
+            bar.show();
+            choose('remove');
+            input.val('everything').trigger({type: 'keypress', which: 13});
+            expect(spy.callCount).toEqual(1);
+            expect(bar.getBox().find('label').text()).toContain('Remove everything?');
+            input.trigger({type: 'keydown', which: 89, key: 'y'});
+            expect(spy).toHaveBeenCalledWith('everything');
+        });
+
+        it("should leave confirmation mode when hidden", function() {
+            choose('delete all');
+            bar.hide();
+            expect(bar._confirming).toBeFalsy();
+            expect(input.attr('readonly')).toBeFalsy();
+        });
+    });
+
+    describe("undo", function() {
+        var theme, undoSpy, input;
+
+        beforeEach(function() {
+            theme = 'light';
+            undoSpy = jasmine.createSpy();
+            makeQuickBar({
+                history: false,
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Dark Theme', action: function() {
+                            var old = theme;
+                            theme = 'dark';
+                            return function() {
+                                theme = old;
+                            };
+                        }},
+                        {name: 'Archive', arg: true, action: function(arg) { return arg.length; }, undo: undoSpy},
+                        {name: 'Print', action: function() {}}
+                    ]
+                }]
+            });
+            input = bar.getBox().find('input');
+        });
+
+        function undoKey() {
+            var e = {type: 'keydown', which: 90, key: 'z'};
+            e[$.quickBar.Keystroke.modKey + 'Key'] = true;
+            return e;
+        }
+
+        it("should list an undo command for a command whose action returned a function", function() {
+            choose('dark');
+            expect(theme).toEqual('dark');
+            bar.show();
+            searchFor('undo');
+            expect(listedNames()).toEqual(['Undo Dark Theme']);
+            choose('undo');
+            expect(theme).toEqual('light');
+            bar.show();
+            searchFor('undo');
+            expect(listedNames()).toEqual([]);
+        });
+
+        it("should pass the arg and result to a command's undo handler", function() {
+            choose('archive');
+            input.val('abc').trigger({type: 'keypress', which: 13});
+            bar.show();
+            choose('undo archive');
+            expect(undoSpy).toHaveBeenCalledWith('abc', 3);
+        });
+
+        it("should not list undo commands for commands that cannot be undone", function() {
+            choose('print');
+            bar.show();
+            searchFor('undo');
+            expect(listedNames()).toEqual([]);
+        });
+
+        it("should list the undo commands most recent first when nothing has been entered", function() {
+            choose('dark');
+            bar.show();
+            choose('archive');
+            input.val('abc').trigger({type: 'keypress', which: 13});
+            bar.show();
+            expect(listedNames()).toEqual(['Undo Archive', 'Undo Dark Theme']);
+        });
+
+        it("should only keep the configured number of undo entries", function() {
+            bar.setOptions({undoLimit: 1});
+            choose('dark');
+            bar.show();
+            choose('archive');
+            input.val('abc').trigger({type: 'keypress', which: 13});
+            expect(bar.getUndoCommands().length).toEqual(1);
+        });
+
+        it("should undo the most recent command with the undo keystroke in the empty field", function() {
+            choose('dark');
+            bar.show();
+            input.val('x').trigger(undoKey());
+            expect(theme).toEqual('dark');
+            input.val('').trigger(undoKey());
+            expect(theme).toEqual('light');
+        });
+
+        it("should forget undo entries once they expire", function() {
+            bar.setOptions({undoTimeout: 10});
+            choose('dark');
+            waits(20);
+            runs(function() {
+                expect(bar.undo()).toBe(false);
+                expect(theme).toEqual('dark');
+            });
+        });
+    });
+
+    describe("DOM actions", function() {
+        var cont, input;
+
+        beforeEach(function() {
+            cont = $('<div id="qbDomTest">' +
+                         '<button id="qbButton">Go</button>' +
+                         '<form id="qbForm" action="#"><input name="q" id="qbField" /></form>' +
+                     '</div>').appendTo('body');
+            input = null;
+        });
+
+        afterEach(function() {
+            cont.remove();
+        });
+
+        function run(cfg) {
+            makeQuickBar({
+                history: false,
+                sources: [{type: 'local', commands: [$.extend({name: 'Act'}, cfg)]}]
+            });
+            input = bar.getBox().find('input');
+            searchFor('act');
+            input.trigger({type: 'keydown', which: 40});
+            input.trigger({type: 'keypress', which: 13});
+        }
+
+        it("should click the matching element", function() {
+            var spy = jasmine.createSpy();
+            $('#qbButton').click(spy);
+            run({action: {type: 'click', selector: '#qbButton'}});
+            expect(spy).toHaveBeenCalled();
+        });
+
+        it("should focus the matching element", function() {
+            run({action: {type: 'focus', selector: '#qbField'}});
+            expect(document.activeElement).toBe($('#qbField')[0]);
+        });
+
+        it("should fill in the arg and submit the form", function() {
+            var value;
+            $('#qbForm').submit(function(e) {
+                value = $('#qbField').val();
+                e.preventDefault();
+            });
+            run({arg: true, action: {type: 'submit', selector: '#qbField', fill: '#qbField'}});
+            input.val('kittens').trigger({type: 'keypress', which: 13});
+            expect(value).toEqual('kittens');
+        });
+
+        it("should trigger a custom event with the arg and data", function() {
+            var spy = jasmine.createSpy();
+            $('#qbButton').bind('refresh', spy);
+            run({arg: true, action: {type: 'trigger', selector: '#qbButton', event: 'refresh', data: {all: true}}});
+            input.val('now').trigger({type: 'keypress', which: 13});
+            expect(spy.argsForCall[0][1]).toEqual('now');
+            expect(spy.argsForCall[0][2]).toEqual({all: true});
+        });
+
+        it("should toggle the class on the matching elements", function() {
+            run({action: {type: 'toggleClass', selector: '#qbButton', className: 'active'}});
+            expect($('#qbButton').hasClass('active')).toBe(true);
+        });
+
+        it("should display an error when no element matches", function() {
+            run({action: {type: 'click', selector: '#qbMissing'}});
+            expect(bar._vis).toBeTruthy();
+            expect(bar.getBox().find('.error').text()).toEqual('Could not find "#qbMissing" on the page.');
+        });
+    });
+
+    describe("URL actions", function() {
+        var input;
+
+        function run(cfg, arg, keys) {
+            makeQuickBar({
+                history: false,
+                sources: [{type: 'local', commands: [$.extend({name: 'Open'}, cfg)]}]
+            });
+            input = bar.getBox().find('input');
+            searchFor('open');
+            input.trigger({type: 'keydown', which: 40});
+            if (cfg.arg) {
+                input.trigger({type: 'keypress', which: 13});
+                input.val(arg);
+            }
+            pressEnter(keys);
+        }
+
+        it("should URL-encode the substituted values", function() {
+            expect(Command.applyUrlTemplate('http://example.com/?q={arg}', {arg: 'a&b c'}))
+                    .toEqual('http://example.com/?q=a%26b%20c');
+        });
+
+        it("should not encode raw tokens", function() {
+            expect(Command.applyUrlTemplate('{arg|raw}', {arg: 'http://example.com/?a=b'}))
+                    .toEqual('http://example.com/?a=b');
+        });
+
+        it("should substitute dotted tokens and leave unknown ones in place", function() {
+            expect(Command.applyUrlTemplate('//{location.host}/{page}', {location: {host: 'example.com'}}))
+                    .toEqual('//example.com/{page}');
+        });
+
+        it("should leave inherited names in URL templates alone and accept a missing template", function() {
+            expect(Command.applyUrlTemplate('/{constructor}/{arg}', {arg: 'a'})).toEqual('/{constructor}/a');
+            expect(Command.applyUrlTemplate(undefined, {arg: 'a'})).toEqual('');
+        });
+
+        it("should only allow URLs with the allowed schemes", function() {
+            expect(Command.isSafeUrl('https://example.com/')).toBe(true);
+            expect(Command.isSafeUrl('mailto:someone@example.com')).toBe(true);
+            expect(Command.isSafeUrl('/search?q=a:b')).toBe(true);
+            expect(Command.isSafeUrl('javascript:alert(1)')).toBe(false);
+            expect(Command.isSafeUrl(' Java\tScript:alert(1)')).toBe(false);
+            expect(Command.isSafeUrl('data:text/html,hi')).toBe(false);
+        });
+
+        it("should open the URL in the configured target", function() {
+            spyOn(window, 'open');
+            run({arg: true, action: {type: 'url', url: 'http://example.com/?q={arg}', target: '_blank'}}, 'a&b');
+            expect(window.open).toHaveBeenCalledWith('http://example.com/?q=a%26b', '_blank');
+        });
+
+        it("should open the URL in a new tab when chosen with Ctrl+Enter", function() {
+            spyOn(window, 'open');
+            run({action: {type: 'url', url: 'http://example.com/{selection}'}}, null, {ctrlKey: true});
+            expect(window.open).toHaveBeenCalledWith('http://example.com/', '_blank');
+        });
+
+        it("should open the URL in a new tab when chosen with Cmd+Enter, which fires no keypress", function() {
+            spyOn(window, 'open');
+            makeQuickBar({
+                history: false,
+                sources: [{type: 'local', commands: [{name: 'Open', action: {type: 'url', url: 'http://example.com/'}}]}]
+            });
+            input = bar.getBox().find('input');
+            searchFor('open');
+            input.trigger({type: 'keydown', which: 40});
+            input.trigger({type: 'keydown', which: 13, key: 'Enter', metaKey: true});
+            expect(window.open).toHaveBeenCalledWith('http://example.com/', '_blank');
+        });
+
+        it("should open a URL entered as the argument in a new tab with Ctrl+Enter", function() {
+            spyOn(window, 'open');
+            run({arg: true, action: {type: 'url', url: 'http://example.com/?q={arg}'}}, 'cats', {ctrlKey: true});
+            expect(window.open).toHaveBeenCalledWith('http://example.com/?q=cats', '_blank');
+        });
+
+        it("should refuse a URL with a disallowed scheme", function() {
+            spyOn(window, 'open');
+            run({arg: true, action: {type: 'url', url: '{arg|raw}', target: '_blank'}}, 'javascript:alert(1)');
+            expect(window.open).not.toHaveBeenCalled();
+            expect(bar.getBox().find('.error').text()).toEqual('Refusing to open "javascript:alert(1)".');
+        });
+    });
+
+    describe("alternate actions", function() {
+        var openSpy, copySpy, markdownSpy, input;
+
+        beforeEach(function() {
+            openSpy = jasmine.createSpy();
+            copySpy = jasmine.createSpy();
+            markdownSpy = jasmine.createSpy();
+            makeQuickBar({
+                history: false,
+                sources: [{
+                    type: 'local',
+                    commands: [{
+                        name: 'Home Link',
+                        actionName: 'Open',
+                        action: openSpy,
+                        actions: [
+                            {name: 'Copy URL', action: copySpy},
+                            {name: 'Copy as Markdown', action: markdownSpy, keystroke: 'shift+alt+enter'}
+                        ]
+                    }, {
+                        name: 'Help',
+                        action: openSpy
+                    }]
+                }]
+            });
+            input = bar.getBox().find('input');
+        });
+
+        it("should run the command's own action with Enter", function() {
+            choose('home');
+            expect(openSpy).toHaveBeenCalled();
+            expect(copySpy).not.toHaveBeenCalled();
+        });
+
+        it("should run the first alternate action with Shift+Enter", function() {
+            choose('home', {shiftKey: true});
+            expect(copySpy).toHaveBeenCalled();
+            expect(openSpy).not.toHaveBeenCalled();
+        });
+
+        it("should run an alternate action with its own keystroke", function() {
+            choose('home', {shiftKey: true, altKey: true});
+            expect(markdownSpy).toHaveBeenCalled();
+            expect(copySpy).not.toHaveBeenCalled();
+        });
+
+        it("should not apply the modifiers of an Enter key which chose nothing to a later mouse choice", function() {
+            choose('nothing at all', {shiftKey: true});
+            bar.getBox().trigger('mousedown');
+            bar.itemSelected(null, 0, bar.sources[0].getCommand('Home Link'));
+            expect(openSpy).toHaveBeenCalled();
+            expect(copySpy).not.toHaveBeenCalled();
+        });
+
+        it("should leave Ctrl/Cmd+Enter to open URLs in a new tab when there are three alternate actions", function() {
+            bar.sources[0].addCommand({name: 'Docs', action: openSpy, actions: [
+                {name: 'One', action: copySpy}, {name: 'Two', action: copySpy}, {name: 'Three', action: markdownSpy}
+            ]});
+            choose('docs', {altKey: true, shiftKey: true});
+            expect(markdownSpy).toHaveBeenCalled();
+            bar.show();
+            choose('docs', {ctrlKey: true});
+            expect(openSpy).toHaveBeenCalled();
+        });
+
+        it("should mark the commands that have alternate actions", function() {
+            searchFor('h');
+            var lis = bar.getBox().find('li');
+            expect(lis.eq(0).find('.actions').size()).toEqual(1);
+            expect(lis.eq(1).find('.actions').size()).toEqual(0);
+        });
+
+        it("should list the actions when Right Arrow is pressed", function() {
+            searchFor('home');
+            input.trigger({type: 'keydown', which: 40});
+            input.trigger({type: 'keydown', which: 39});
+            expect(listedNames()).toEqual(['Open', 'Copy URL', 'Copy as Markdown']);
+            expect(bar.getBox().find('label').text()).toEqual('Home Link:');
+            choose('cop');
+            expect(copySpy).toHaveBeenCalled();
+        });
+
+        it("should name the own action of a command without an action name", function() {
+            bar.sources[0].addCommand({name: 'Docs', action: openSpy, actions: [{name: 'Print', action: copySpy}]});
+            choose('docs', {shiftKey: true});
+            expect(copySpy).toHaveBeenCalled();
+            bar.show();
+            searchFor('docs');
+            input.trigger({type: 'keydown', which: 40});
+            input.trigger({type: 'keydown', which: 39});
+            expect(listedNames()).toEqual(['Run', 'Print']);
+        });
+
+        it("should go back from the actions with Escape", function() {
+            searchFor('home');
+            input.trigger({type: 'keydown', which: 40});
+            input.trigger({type: 'keydown', which: 39});
+            input.trigger({type: 'keyup', which: 27});
+            expect(bar._vis).toBeTruthy();
+            expect(bar._menus.length).toEqual(0);
+        });
+    });
+
+    describe("ajax source", function() {
+        beforeEach(function() {
+            requests = [];
+        });
+
+        function makeAjaxBar(cfg) {
+            makeQuickBar({
+                history: false,
+                sources: [$.extend({
+                    type: 'ajax',
+                    url: '/commands',
+                    xhr: function() {
+                        return new FakeXhr();
+                    }
+                }, cfg)]
+            });
+            return bar.sources[0];
+        }
+
+        it("should request the entered characters and list the returned commands", function() {
+            makeAjaxBar({data: {lang: 'en'}});
+            searchFor('log');
+            expect(requests.length).toEqual(1);
+            expect(requests[0].method).toEqual('GET');
+            expect(requests[0].url).toContain('s=log');
+            expect(requests[0].url).toContain('lang=en');
+            requests[0].respond(200, {commands: [{name: 'Logout', url: '/logout'}, 'Log Viewer']});
+            expect(listedNames()).toEqual(['Logout', 'Log Viewer']);
+            expect(bar._results[0].command instanceof Command).toBe(true);
+        });
+
+        it("should not add the search to the configured data", function() {
+            var source = makeAjaxBar({data: {lang: 'en'}, paramName: 'q'});
+            searchFor('log');
+            expect(requests[0].url).toContain('q=log');
+            expect(source.data).toEqual({lang: 'en'});
+        });
+
+        it("should append the search to string data", function() {
+            makeAjaxBar({data: 'lang=en'});
+            searchFor('a&b');
+            expect(requests[0].url).toContain('lang=en&s=a%26b');
+        });
+
+        it("should abort its request when the QuickBar is destroyed", function() {
+            makeAjaxBar();
+            searchFor('log');
+            bar.destroy();
+            bar = null;
+            expect(requests[0].aborted).toBe(true);
+        });
+
+        it("should abort the previous request when searching again", function() {
+            makeAjaxBar();
+            searchFor('lo');
+            searchFor('log');
+            expect(requests.length).toEqual(2);
+            expect(requests[0].aborted).toBe(true);
+            requests[1].respond(200, ['Logout']);
+            expect(listedNames()).toEqual(['Logout']);
+            expect(bar.getBox().find('.error:visible').size()).toEqual(0);
+        });
+
+        it("should not request fewer than the minimum characters", function() {
+            makeAjaxBar({minChars: 3});
+            searchFor('lo');
+            expect(requests.length).toEqual(0);
+            searchFor('log');
+            expect(requests.length).toEqual(1);
+        });
+
+        it("should display an error when the request fails", function() {
+            var source = makeAjaxBar();
+            searchFor('log');
+            requests[0].respond(500, 'Server error');
+            expect(bar.getBox().find('.error').text()).toEqual(source.errorMessage);
+        });
+
+        it("should not display the error when the sourceError event is cancelled", function() {
+            makeAjaxBar();
+            bar.on('sourceError', function() {
+                return false;
+            });
+            searchFor('log');
+            requests[0].respond(500, 'Server error');
+            expect(bar.getBox().find('.error').size()).toEqual(0);
+        });
+
+        it("should use the cached results when a query is repeated", function() {
+            makeAjaxBar();
+            searchFor('log');
+            requests[0].respond(200, ['Logout']);
+            searchFor('logo');
+            requests[1].respond(200, ['Logout']);
+            searchFor('log');
+            expect(requests.length).toEqual(2);
+            expect(listedNames()).toEqual(['Logout']);
+        });
+
+        it("should request the query again once its cached results expire", function() {
+            var source = makeAjaxBar({cacheTtl: 1000}),
+                time = 0;
+            source.now = function() {
+                return time;
+            };
+            searchFor('log');
+            requests[0].respond(200, ['Logout']);
+            searchFor('lo');
+            time = 1000;
+            searchFor('log');
+            expect(requests.length).toEqual(3);
+        });
+
+        it("should drop the least recently used results when the cache is full", function() {
+            makeAjaxBar({cacheSize: 2});
+            $.each(['a', 'b', 'a', 'c', 'a', 'b'], function(i, chars) {
+                searchFor(chars);
+                if (requests[requests.length - 1].readyState !== 4) {
+                    requests[requests.length - 1].respond(200, [chars.toUpperCase()]);
+                }
+            });
+            expect($.map(requests, function(request) {
+                return request.url.replace(/.*s=/, '');
+            })).toEqual(['a', 'b', 'c', 'b']);
+        });
+
+        it("should filter complete results for longer queries instead of requesting them", function() {
+            makeAjaxBar();
+            searchFor('lo');
+            requests[0].respond(200, {commands: ['Logout', 'Log Viewer', 'Slow Mode'], complete: true});
+            searchFor('logo');
+            expect(requests.length).toEqual(1);
+            expect(listedNames()).toEqual(['Logout']);
+        });
+
+        it("should accept a response header declaring the results complete", function() {
+            makeAjaxBar();
+            searchFor('lo');
+            requests[0].respond(200, ['Logout', 'Log Viewer'], {'X-QuickBar-Complete': 'true'});
+            searchFor('log v');
+            expect(requests.length).toEqual(1);
+            expect(listedNames()).toEqual(['Log Viewer']);
+        });
+
+        it("should request longer queries when the results are not complete", function() {
+            makeAjaxBar();
+            searchFor('lo');
+            requests[0].respond(200, ['Logout']);
+            searchFor('log');
+            expect(requests.length).toEqual(2);
+        });
+
+        it("should clear the cache when a response says to", function() {
+            makeAjaxBar();
+            searchFor('a');
+            requests[0].respond(200, ['A']);
+            searchFor('b');
+            requests[1].respond(200, {commands: ['B'], invalidate: true});
+            searchFor('a');
+            expect(requests.length).toEqual(3);
+            requests[2].respond(200, ['A'], {'X-QuickBar-Invalidate': 'true'});
+            searchFor('b');
+            expect(requests.length).toEqual(4);
+        });
+
+        it("should clear the cache programmatically", function() {
+            makeAjaxBar();
+            searchFor('a');
+            requests[0].respond(200, ['A']);
+            bar.clearCache();
+            searchFor('b');
+            searchFor('a');
+            expect(requests.length).toEqual(3);
+        });
+
+        it("should display an error when the request times out", function() {
+            var source = makeAjaxBar({timeout: 10});
+            searchFor('log');
+            waitsFor(function() {
+                return bar.getBox().find('.error').text() === source.timeoutMessage;
+            }, 'timeout error was not displayed');
+        });
+    });
+
+    describe("prefetch source", function() {
+        var catalog = {commands: [{name: 'Logout'}, {name: 'Log Viewer'}, {name: 'Settings'}]};
+
+        beforeEach(function() {
+            requests = [];
+        });
+
+        function makePrefetchBar(cfg) {
+            bar = $.quickBar({
+                history: false,
+                sources: [$.extend({
+                    type: 'prefetch',
+                    url: '/catalog',
+                    xhr: function() {
+                        return new FakeXhr();
+                    }
+                }, cfg)]
+            });
+            return bar.sources[0];
+        }
+
+        it("should load the catalog when first opened", function() {
+            makePrefetchBar();
+            expect(requests.length).toEqual(0);
+            bar.show();
+            expect(requests.length).toEqual(1);
+            expect(requests[0].url).toContain('/catalog');
+        });
+
+        it("should abort loading the catalog when the QuickBar is destroyed", function() {
+            var source = makePrefetchBar();
+            bar.show();
+            searchFor('log');
+            bar.destroy();
+            bar = null;
+            expect(requests[0].aborted).toBe(true);
+            expect(source.isLoading()).toBe(false);
+        });
+
+        it("should load the catalog at init with the prefetch config", function() {
+            makePrefetchBar({prefetch: true});
+            expect(requests.length).toEqual(1);
+        });
+
+        it("should list a loading row until the catalog arrives", function() {
+            makePrefetchBar();
+            bar.show();
+            searchFor('log');
+            expect(bar.getBox().find('li.loading').size()).toEqual(1);
+            requests[0].respond(200, catalog);
+            expect(bar.getBox().find('li.loading').size()).toEqual(0);
+            expect(listedNames()).toEqual(['Logout', 'Log Viewer']);
+        });
+
+        it("should search the loaded catalog locally", function() {
+            makePrefetchBar();
+            bar.show();
+            requests[0].respond(200, catalog);
+            searchFor('set');
+            expect(listedNames()).toEqual(['Settings']);
+            bar.hide();
+            bar.show();
+            expect(requests.length).toEqual(1);
+        });
+
+        it("should display an error if the catalog cannot be loaded", function() {
+            var source = makePrefetchBar();
+            bar.show();
+            searchFor('log');
+            requests[0].respond(500, 'Server error');
+            expect(bar.getBox().find('.error').text()).toEqual(source.errorMessage);
+            expect(bar.getBox().find('li.loading').size()).toEqual(0);
+        });
+
+        it("should revalidate the catalog with its ETag and Last-Modified date", function() {
+            makePrefetchBar({revalidate: true});
+            bar.show();
+            requests[0].respond(200, catalog, {'ETag': '"v1"', 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT'});
+            bar.hide();
+            bar.show();
+            expect(requests.length).toEqual(2);
+            expect(requests[1].requestHeaders['If-None-Match']).toEqual('"v1"');
+            expect(requests[1].requestHeaders['If-Modified-Since']).toEqual('Mon, 01 Jan 2024 00:00:00 GMT');
+            requests[1].respond(304, '');
+            searchFor('set');
+            expect(listedNames()).toEqual(['Settings']);
+            bar.hide();
+            bar.show();
+            requests[2].respond(200, {commands: [{name: 'Setup'}]});
+            searchFor('set');
+            expect(listedNames()).toEqual(['Setup']);
+        });
+    });
+
+    describe("dom source", function() {
+        var cont;
+
+        beforeEach(function() {
+            cont = $('<div id="qbDomSource">' +
+                         '<a href="#inbox">Inbox</a>' +
+                         '<a href="#drafts" style="display:none">Drafts</a>' +
+                         '<button id="qbArchive" data-quickbar-name="Archive Message" data-quickbar-alias="Done, File"' +
+                                ' data-quickbar-icon="archive.png">Archive</button>' +
+                         '<button disabled="disabled">Send</button>' +
+                         '<div hidden="hidden"><button>Delete</button></div>' +
+                         '<span data-quickbar-name="Star">*</span>' +
+                         '<a href="javascript:void(0)">Refresh</a>' +
+                     '</div>').appendTo('body');
+        });
+
+        afterEach(function() {
+            cont.remove();
+        });
+
+        function makeDomBar(cfg) {
+            makeQuickBar({
+                history: false,
+                sources: [$.extend({type: 'dom', root: '#qbDomSource'}, cfg)]
+            });
+            return bar.sources[0];
+        }
+
+        function names(source) {
+            return $.map(source.getCommands(), function(command) {
+                return command.name;
+            });
+        }
+
+        it("should collect the visible and enabled links, buttons and named elements", function() {
+            var source = makeDomBar();
+            expect(names(source)).toEqual(['Inbox', 'Archive Message', 'Star', 'Refresh']);
+        });
+
+        it("should include hidden and disabled elements when configured to", function() {
+            var source = makeDomBar({includeHidden: true, includeDisabled: true});
+            expect(names(source)).toEqual(['Inbox', 'Drafts', 'Archive Message', 'Send', 'Delete', 'Star', 'Refresh']);
+        });
+
+        it("should take the aliases and icon from the data attributes", function() {
+            var command = makeDomBar().getCommand('#qbArchive');
+            expect(command.aliases).toEqual(['Done', 'File']);
+            expect(command.icon).toEqual('archive.png');
+            searchFor('file');
+            expect(listedNames()).toEqual(['Archive Message']);
+        });
+
+        it("should not let the icon attribute add markup", function() {
+            var img;
+            cont.append('<a href="#junk" data-quickbar-icon=\'x" onerror="alert(1)\'>Junk</a>');
+            makeDomBar();
+            searchFor('junk');
+            img = bar.getBox().find('li img.icon');
+            expect(img.attr('src')).toEqual('x" onerror="alert(1)');
+            expect(img[0].hasAttribute('onerror')).toBe(false);
+        });
+
+        it("should go to a link's URL and click other elements", function() {
+            var source = makeDomBar(),
+                spy = jasmine.createSpy();
+            var inbox = location.href.replace(/#.*/, '') + '#inbox';
+            expect(source.getCommand(inbox).action).toEqual({type: 'url', url: inbox, target: undefined});
+            expect(source.getCommand('Refresh').action.type).toEqual('click');
+            $('#qbArchive').click(spy);
+            searchFor('archive');
+            bar.getBox().find('input').trigger({type: 'keydown', which: 40}).trigger({type: 'keypress', which: 13});
+            expect(spy).toHaveBeenCalled();
+        });
+
+        it("should identify each command by its element's id or URL rather than its name", function() {
+            var source, base = location.href.replace(/#.*/, '');
+            cont.append('<a href="#inbox/1">Open</a><a href="#inbox/2">Open</a>');
+            source = makeDomBar();
+            expect(source.getCommand('#qbArchive').name).toEqual('Archive Message');
+            expect(source.getCommand(base + '#inbox/1').action.url).toEqual(base + '#inbox/1');
+            expect(source.getCommand(base + '#inbox/2').action.url).toEqual(base + '#inbox/2');
+            expect(source.getCommand('Star').name).toEqual('Star');
+            expect(source.getCommand('Refresh').action.type).toEqual('click');
+        });
+
+        it("should let each command be customized", function() {
+            var source = makeDomBar({configure: function(cfg, el) {
+                cfg.name = cfg.name.toUpperCase();
+            }});
+            expect(names(source)).toEqual(['INBOX', 'ARCHIVE MESSAGE', 'STAR', 'REFRESH']);
+        });
+
+        it("should collect the elements added to the page later", function() {
+            var source = makeDomBar();
+            names(source);
+            cont.append('<a href="#sent">Sent</a>');
+            waitsFor(function() {
+                return $.inArray('Sent', names(source)) >= 0;
+            }, 'added link was not collected');
+            runs(function() {
+                cont.find('a[href="#sent"]').hide();
+            });
+            waitsFor(function() {
+                return $.inArray('Sent', names(source)) < 0;
+            }, 'hidden link was not left out');
+        });
+
+        it("should leave out the elements within hidden ancestors, as of each collection", function() {
+            var source = makeDomBar(),
+                section = $('<div aria-hidden="true"><p><a href="#spam">Spam</a></p><a href="#trash">Trash</a></div>')
+                              .appendTo(cont);
+            expect($.inArray('Spam', names(source))).toEqual(-1);
+            expect($.inArray('Trash', names(source))).toEqual(-1);
+            section.removeAttr('aria-hidden');
+            waitsFor(function() {
+                return $.inArray('Spam', names(source)) >= 0 && $.inArray('Trash', names(source)) >= 0;
+            }, 'shown links were not collected');
+            runs(function() {
+                expect($.grep(section.find('*').andSelf().add(cont).get(), function(el) {
+                    return el[$.expando] !== undefined || 'quickBarHidden' in el;
+                })).toEqual([]);
+            });
+        });
+
+        it("should not collect the commands again for changes to unrelated attributes", function() {
+            var source = makeDomBar(),
+                local = source.getLocal();
+            cont.find('a:first').addClass('selected').attr('data-state', 'read');
+            waits(20);
+            runs(function() {
+                expect(source.getLocal()).toBe(local);
+            });
+        });
+
+        it("should wait until first opened to collect, for a root that is added to the page later", function() {
+            var source;
+            bar = $.quickBar({history: false, sources: [{type: 'dom', root: '#qbDomSourceLater'}]});
+            source = bar.sources[0];
+            expect(source._observer).toBeFalsy();
+            expect(source.getCommands()).toEqual([]);
+            cont.append('<div id="qbDomSourceLater"><a href="#later">Later</a></div>');
+            bar.show();
+            expect(names(source)).toEqual(['Later']);
+            expect(source._observer).toBeTruthy();
+        });
+
+        it("should register the hotkeys of the commands each time they are collected", function() {
+            var spy = jasmine.createSpy();
+            makeDomBar({configure: function(cfg, el) {
+                cfg.hotkey = $(el).attr('data-hotkey');
+            }});
+            bar.hide();
+            cont.append('<button data-hotkey="alt+shift+s">Sent</button>');
+            cont.find('button:last').click(spy);
+            waitsFor(function() {
+                return !bar.sources[0]._local;
+            }, 'added button was not noticed');
+            runs(function() {
+                bar.show();
+                bar.hide();
+                $(document).trigger($.extend($.Event('keydown'), {key: 'S', altKey: true, shiftKey: true}));
+                expect(spy).toHaveBeenCalled();
+                expect(bar._hotkeys.length).toEqual(1);
+            });
+        });
+
+        it("should stop observing the page when destroyed", function() {
+            var source = makeDomBar();
+            bar.destroy();
+            bar = null;
+            expect(source._observer).toBeNull();
+        });
+    });
+
+    describe("headings source", function() {
+        var cont;
+
+        beforeEach(function() {
+            cont = $('<div id="qbHeadingsSource">' +
+                         '<nav aria-label="Table of Contents"><a href="#qbInstall">Install</a></nav>' +
+                         '<h1>Guide</h1>' +
+                         '<h2 id="qbInstall">Install</h2>' +
+                         '<h3>Requirements</h3>' +
+                         '<div id="qbDownloads" title="Downloads"></div>' +
+                         '<h2>Usage</h2>' +
+                         '<h3 style="display:none">Hidden</h3>' +
+                         '<dl><dt id="qbVerbose">--verbose</dt><dd>Logs more.</dd></dl>' +
+                         '<div id="qbExamples"><p>A long paragraph of examples, too long to name the section by.</p></div>' +
+                         '<input id="qbSearchField" type="text" />' +
+                     '</div>').appendTo('body');
+        });
+
+        afterEach(function() {
+            cont.remove();
+        });
+
+        function makeHeadingsBar(cfg) {
+            makeQuickBar({
+                history: false,
+                sources: [$.extend({type: 'headings', root: '#qbHeadingsSource'}, cfg)]
+            });
+            return bar.sources[0];
+        }
+
+        function names(source) {
+            return $.map(source.getCommands(), function(command) {
+                return command.name;
+            });
+        }
+
+        it("should name the headings, landmarks and elements with ids after their path", function() {
+            var source = makeHeadingsBar();
+            expect(names(source)).toEqual(['Table of Contents', 'Guide', 'Guide \u203a Install',
+                                           'Guide \u203a Install \u203a Requirements',
+                                           'Guide \u203a Install \u203a Requirements \u203a Downloads',
+                                           'Guide \u203a Usage', 'Guide \u203a Usage \u203a --verbose',
+                                           'Guide \u203a Usage \u203a qbExamples']);
+        });
+
+        it("should find a section by its own name", function() {
+            makeHeadingsBar();
+            searchFor('req');
+            expect(listedNames()[0]).toEqual('Guide \u203a Install \u203a Requirements');
+        });
+
+        it("should scroll to, focus and link to the chosen element", function() {
+            var heading = $('#qbInstall')[0];
+            heading.scrollIntoView = jasmine.createSpy();
+            makeHeadingsBar().getCommand('Guide \u203a Install').exec();
+            expect(heading.scrollIntoView).toHaveBeenCalled();
+            expect(document.activeElement).toBe(heading);
+            expect($(heading).attr('tabindex')).toEqual('-1');
+            expect(location.hash).toEqual('#qbInstall');
+            location.hash = '';
+        });
+
+        it("should collect the headings again when the page has changed", function() {
+            var source = makeHeadingsBar();
+            names(source);
+            cont.append('<h2>Support</h2>');
+            waitsFor(function() {
+                return $.inArray('Guide \u203a Support', names(source)) >= 0;
+            }, 'added heading was not collected');
+        });
+
+        it("should collect the elements named by their text again when their text changes", function() {
+            var source = makeHeadingsBar();
+            names(source);
+            $('#qbVerbose').text('--quiet');
+            waitsFor(function() {
+                return $.inArray('Guide \u203a Usage \u203a --quiet', names(source)) >= 0;
+            }, 'changed text was not collected');
+        });
+
+        it("should only collect the headings again for changes to the headings themselves", function() {
+            var source = makeHeadingsBar(),
+                local;
+            cont.append('<div role="main" aria-labelledby="qbMainLabel"><p id="qbMainLabel">Body</p><p>Text</p></div>');
+            waitsFor(function() {
+                return $.inArray('Body', names(source)) >= 0;
+            }, 'added landmark was not collected');
+            runs(function() {
+                local = source.getLocal();
+                cont.find('[role=main] p:last').text('Changed text').attr('title', 'Note');
+                source.getCommand('Guide \u203a Usage').exec();
+            });
+            waits(20);
+            runs(function() {
+                expect(source.getLocal()).toBe(local);
+                $('#qbMainLabel').text('Article');
+            });
+            waitsFor(function() {
+                return $.inArray('Article', names(source)) >= 0;
+            }, 'changed label was not collected');
+            runs(function() {
+                cont.find('h2:last').text('Reference');
+            });
+            waitsFor(function() {
+                return $.inArray('Guide \u203a Reference', names(source)) >= 0;
+            }, 'changed heading was not collected');
+        });
+    });
+
+    describe("teardown and reconfiguration", function() {
+        var others = [];
+
+        afterEach(function() {
+            $.each(others, function(i, other) {
+                other.destroy();
+            });
+            others = [];
+        });
+
+        function launch(target, cfg) {
+            $(target).trigger($.extend($.Event('keydown'), cfg || {key: ' ', ctrlKey: true, shiftKey: true}));
+        }
+
+        it("should remove the element and stop listening for keystrokes when destroyed", function() {
+            var box;
+            makeQuickBar();
+            box = bar.getBox();
+            bar.destroy();
+            expect(box.parent().size()).toEqual(0);
+            launch(document);
+            expect(bar._vis).toBeFalsy();
+            bar = null;
+        });
+
+        it("should tear down even while busy or if hiding is cancelled, ignoring what settles later", function() {
+            var parent = $('<div></div>').appendTo('body'),
+                resolve;
+            makeQuickBar({
+                parent: parent,
+                history: false,
+                sources: [{type: 'local', commands: [{name: 'Save', action: function() {
+                    return {then: function(done) { resolve = done; }};
+                }}]}]
+            });
+            bar.on('beforeHide', function() {
+                return false;
+            });
+            bar.itemSelected(null, 0, bar.sources[0].commands[0]);
+            bar.getBox().find('input').val('sa').trigger({type: 'keyup', which: 65});
+            bar.destroy();
+            bar = null;
+            resolve('Saved.');
+            expect(parent.children().size()).toEqual(0);
+            waits(250);
+            runs(function() {
+                expect(parent.children().size()).toEqual(0);
+                parent.remove();
+            });
+        });
+
+        it("should not list the results of a search that settles after being destroyed", function() {
+            var respond;
+            makeQuickBar({sources: [{type: 'fn', fn: function(chars, callback) {
+                respond = callback;
+            }}]});
+            searchFor('log');
+            bar.destroy();
+            bar = null;
+            respond(['Logout']);
+            expect($('.quick-bar').size()).toEqual(0);
+        });
+
+        it("should abort the requests of the open menu's source when destroyed", function() {
+            requests = [];
+            makeQuickBar({history: false, sources: [{type: 'local', commands: [{name: 'Projects', children: {
+                type: 'ajax',
+                url: '/projects',
+                xhr: function() {
+                    return new FakeXhr();
+                }
+            }}]}]});
+            choose('projects');
+            searchFor('web');
+            expect(requests.length).toEqual(1);
+            bar.destroy();
+            bar = null;
+            expect(requests[0].aborted).toBe(true);
+            expect($('.quick-bar').size()).toEqual(0);
+        });
+
+        it("should not search after being hidden while a search is pending", function() {
+            var spy = jasmine.createSpy();
+            makeQuickBar({sources: [{type: 'local', commands: [{name: 'Logout'}]}]});
+            bar.getBox().find('input').val('log').trigger({type: 'keyup', which: 71});
+            bar.hide();
+            bar.on('beforeSearch', spy);
+            waits(250);
+            runs(function() {
+                expect(spy).not.toHaveBeenCalled();
+            });
+        });
+
+        it("should change the keystroke and labels with setOptions", function() {
+            bar = $.quickBar();
+            bar.setOptions({keystroke: 'alt+k', mainLabel: 'Go:'});
+            launch(document);
+            expect(bar._vis).toBeFalsy();
+            launch(document, {key: 'k', altKey: true});
+            expect(bar._vis).toBeTruthy();
+            expect(bar.getBox().find('label').text()).toEqual('Go:');
+        });
+
+        it("should replace the sources with setOptions", function() {
+            makeQuickBar({sources: [{type: 'local', commands: [{name: 'Logout'}]}]});
+            bar.setOptions({sources: [{type: 'local', commands: [{name: 'Login'}]}]});
+            bar.show();
+            searchFor('log');
+            expect(listedNames()).toEqual(['Login']);
+        });
+
+        it("should let instances with different keystrokes coexist", function() {
+            var other = $.quickBar({keystroke: 'alt+k'});
+            others.push(other);
+            bar = $.quickBar();
+            launch(document, {key: 'k', altKey: true});
+            expect(other._vis).toBeTruthy();
+            expect(bar._vis).toBeFalsy();
+        });
+
+        it("should give a shared keystroke to the instance whose parent contains the focus", function() {
+            var cont = $('<div><input type="text" /></div>').appendTo('body'),
+                inner = $.quickBar({parent: cont});
+            others.push(inner);
+            bar = $.quickBar();
+            launch(cont.find('input'));
+            expect(inner._vis).toBeTruthy();
+            expect(bar._vis).toBeFalsy();
+            inner.destroy();
+            cont.remove();
+        });
+
+        it("should give a keystroke to the other instances when those whose parent contains the focus ignore it", function() {
+            var left = $('<div><input type="text" /></div>').appendTo('body'),
+                right = $('<div></div>').appendTo('body'),
+                inner = $.quickBar({parent: left});
+            others.push(inner);
+            bar = $.quickBar({parent: right, keystroke: 'alt+b'});
+            launch(left.find('input'), {key: 'b', altKey: true});
+            expect(bar._vis).toBeTruthy();
+            expect(inner._vis).toBeFalsy();
+            inner.destroy();
+            bar.destroy();
+            bar = null;
+            left.remove();
+            right.remove();
+        });
+
+        it("should otherwise give a shared keystroke to the most recently opened instance", function() {
+            var other = $.quickBar();
+            others.push(other);
+            bar = $.quickBar();
+            bar.show();
+            bar.hide();
+            launch(document);
+            expect(bar._vis).toBeTruthy();
+            expect(other._vis).toBeFalsy();
+        });
+    });
+
+    describe("search results", function() {
+        it("should sort the results by score", function() {
+            makeQuickBar({
+                sources: [{
+                    type: 'local',
+                    commands: [
+                        {name: 'Location', aliases: ['Go']},
+                        {name: 'Go To URL'},
+                        {name: 'Google Search'},
+                        {name: 'Go'}
+                    ]
+                }]
+            });
+            searchFor('go');
+            expect(listedNames()).toEqual(['Go', 'Go To URL', 'Google Search', 'Location']);
+        });
+
+        it("should merge the results from all sources into a single ranked list", function() {
+            makeQuickBar({
+                sources: [{
+                    type: 'local',
+                    commands: [{name: 'Find', aliases: ['Search']}]
+                }, {
+                    type: 'local',
+                    commands: [{name: 'Search'}]
+                }]
+            });
+            searchFor('search');
+            expect(listedNames()).toEqual(['Search', 'Find']);
+        });
+
+        it("should blend in results with scores supplied by a custom source", function() {
+            $.quickBar.CommandSources.scoredTest = function() {};
+            $.quickBar.CommandSources.scoredTest.prototype.search = function(chars, callback) {
+                callback([new Command({name: 'Server Ranked', score: 90})]);
+            };
+            makeQuickBar({
+                sources: [{
+                    type: 'local',
+                    commands: [{name: 'Series'}, {name: 'Ser'}]
+                }, {
+                    type: 'scoredTest'
+                }]
+            });
+            searchFor('ser');
+            expect(listedNames()).toEqual(['Ser', 'Server Ranked', 'Series']);
+            delete $.quickBar.CommandSources.scoredTest;
+        });
+
+        it("should ignore results for a search that is no longer current", function() {
+            makeQuickBar();
+            searchFor('abc');
+            bar.handleResult([new Command({name: 'Stale'})], 'ab');
+            expect(listedNames()).toEqual([]);
+        });
+    });
+
+});
@@ -141,6 +141,34 @@ describe("SelectionList", function() {
         });
     });
 
+    describe("setItems method", function() {
+        it("should replace the lis in the list", function() {
+            makeSelectionList({items: ['one', 'two', 'three']});
+            $(field).selectionList('setItems', ['four', 'five']);
+            var lis = $(field).next('ul').find('li');
+            expect(lis.size()).toEqual(2);
+            expect(lis.eq(0).text()).toEqual('four');
+            expect(lis.eq(1).text()).toEqual('five');
+        });
+
+        it("should keep the highlighted item highlighted at its new index", function() {
+            makeSelectionList({items: ['one', 'two', 'three']});
+            $(field).trigger({type: 'keydown', which: 40})
+                    .trigger({type: 'keydown', which: 40});
+            $(field).selectionList('setItems', ['zero', 'one', 'two']);
+            expect($(field).data('selectionList').highlighted).toEqual(2);
+            expect($(field).next('ul').find('li').eq(2).hasClass('highlight')).toBe(true);
+        });
+
+        it("should remove the highlight if the highlighted item is gone", function() {
+            makeSelectionList({items: ['one', 'two', 'three']});
+            $(field).trigger({type: 'keydown', which: 40});
+            $(field).selectionList('setItems', ['two', 'three']);
+            expect($(field).data('selectionList').highlighted).toEqual(-1);
+            expect($(field).next('ul').find('li.highlight').size()).toEqual(0);
+        });
+    });
+
     describe("removeItem method", function() {
         it("should remove the li from the list", function() {
             makeSelectionList({items: ['one', 'two', 'three', 'four']});
@@ -241,6 +269,23 @@ describe("SelectionList", function() {
             });
         });
 
+        describe("enter keypress", function() {
+            it("should not pass on an enter key that selects an item to other handlers", function() {
+                var spy = jasmine.createSpy();
+                $(field).bind('keypress', spy);
+                $(field).trigger({type: 'keydown', which: 40});
+                $(field).trigger({type: 'keypress', which: 13});
+                expect(spy).not.toHaveBeenCalled();
+            });
+
+            it("should pass on an enter key that selects nothing to other handlers", function() {
+                var spy = jasmine.createSpy();
+                $(field).bind('keypress', spy);
+                $(field).trigger({type: 'keypress', which: 13});
+                expect(spy).toHaveBeenCalled();
+            });
+        });
+
         describe('escape', function() {
             it("should hide the dropdown", function() {
                 runs(function() {